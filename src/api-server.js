@@ -0,0 +1,368 @@
+const http = require('http');
+const {
+  initializeDatabase,
+  getMarketSnapshot,
+  getTokenMetricsAtBlock,
+  getIndexedReserves,
+  getTokenMetricsHistory,
+  getMarketRollups,
+  getTokenRollups,
+  closePool
+} = require('./db-storage');
+const { getMarket } = require('./markets');
+const { ROLLUP_PERIODS } = require('./rollups');
+
+// Server settings
+const API_PORT = parseInt(process.env.API_PORT) || 3000;
+const API_HOST = process.env.API_HOST || '127.0.0.1';
+
+// History page sizes
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Server-Sent Events subscriptions
+const STREAM_ROUTE = /^\/markets\/([^/]+)\/stream$/;
+
+// Token metric columns holding JSON documents
+const JSON_COLUMNS = ['emode_categories', 'supply_incentives', 'borrow_incentives'];
+
+/**
+ * Read-only JSON API over the stored metrics
+ *
+ *   GET /health
+ *   GET /markets/:market/summary[?block=N]
+ *   GET /markets/:market/reserves
+ *   GET /markets/:market/reserves/:reserve/history
+ *       [?fromBlock=N&toBlock=N&from=T&to=T&limit=N&offset=N]
+ *   GET /markets/:market/rollups?period=hour|day[&from=T&to=T&limit=N&offset=N]
+ *   GET /markets/:market/reserves/:reserve/rollups?period=hour|day[&from=T&to=T&limit=N&offset=N]
+ *   GET /markets/:market/stream[?symbols=USDC,WETH]
+ *   GET /metrics
+ *
+ * `:reserve` is a reserve address or symbol; `from`/`to` are unix seconds or
+ * ISO dates. Rows are returned as stored, with JSON columns parsed.
+ * The stream is a Server-Sent Events feed of the snapshots stored by the
+ * continuous indexer and /metrics its Prometheus metrics, so both are only
+ * served from inside that process.
+ */
+const ROUTES = [
+  { pattern: /^\/health$/, handler: () => ({ status: 'ok' }) },
+  { pattern: /^\/markets\/([^/]+)\/summary$/, handler: getMarketSummary },
+  { pattern: /^\/markets\/([^/]+)\/reserves$/, handler: listReserves },
+  { pattern: /^\/markets\/([^/]+)\/reserves\/([^/]+)\/history$/, handler: getReserveHistory },
+  { pattern: /^\/markets\/([^/]+)\/rollups$/, handler: getRollups },
+  { pattern: /^\/markets\/([^/]+)\/reserves\/([^/]+)\/rollups$/, handler: getRollups }
+];
+
+/**
+ * Market totals and every reserve's metrics at one block
+ * @param {URLSearchParams} query - `block` (defaults to the latest snapshot)
+ * @param {string} marketName - aave-address-book market name
+ * @returns {Promise<Object>} - Market snapshot row with a `reserves` list
+ */
+async function getMarketSummary(query, marketName) {
+  const market = resolveMarket(marketName);
+  const blockNumber = parseIntegerParam(query, 'block');
+
+  const snapshot = await getMarketSnapshot(market.chainId, market.name, blockNumber);
+  if (!snapshot) {
+    throw httpError(404, blockNumber === null
+      ? `No ${market.name} snapshot stored yet`
+      : `No ${market.name} snapshot stored at block ${blockNumber}`);
+  }
+
+  const reserves = await getTokenMetricsAtBlock(market.chainId, market.name, snapshot.block_number);
+
+  return {
+    ...snapshot,
+    date: new Date(Number(snapshot.timestamp) * 1000).toISOString(),
+    reserves: reserves.map(formatRow)
+  };
+}
+
+/**
+ * Reserves of a market with stored metrics
+ * @param {URLSearchParams} query - Unused
+ * @param {string} marketName - aave-address-book market name
+ * @returns {Promise<Object>} - `{ market, chainId, reserves }`
+ */
+async function listReserves(query, marketName) {
+  const market = resolveMarket(marketName);
+  const reserves = await getIndexedReserves(market.chainId, market.name);
+
+  return { market: market.name, chainId: market.chainId, reserves };
+}
+
+/**
+ * Page through the metrics history of a reserve over a block or time range
+ * @param {URLSearchParams} query - Range (`fromBlock`, `toBlock`, `from`, `to`) and page (`limit`, `offset`)
+ * @param {string} marketName - aave-address-book market name
+ * @param {string} reserve - Reserve address or symbol
+ * @returns {Promise<Object>} - `{ market, reserve, data, pagination }`
+ */
+async function getReserveHistory(query, marketName, reserve) {
+  const market = resolveMarket(marketName);
+  const { limit, offset } = parsePageParams(query);
+
+  const { rows, total } = await getTokenMetricsHistory(market.chainId, market.name, reserve, {
+    fromBlock: parseIntegerParam(query, 'fromBlock'),
+    toBlock: parseIntegerParam(query, 'toBlock'),
+    fromTimestamp: parseTimeParam(query, 'from'),
+    toTimestamp: parseTimeParam(query, 'to'),
+    limit,
+    offset
+  });
+
+  return {
+    market: market.name,
+    reserve,
+    data: rows.map(formatRow),
+    pagination: buildPagination(limit, offset, rows, total)
+  };
+}
+
+/**
+ * Page through the hourly or daily rollups of a market or one of its reserves
+ * @param {URLSearchParams} query - `period`, range of period starts (`from`, `to`) and page (`limit`, `offset`)
+ * @param {string} marketName - aave-address-book market name
+ * @param {string} [reserve] - Reserve address or symbol; market totals when absent
+ * @returns {Promise<Object>} - `{ market, reserve, period, data, pagination }`
+ */
+async function getRollups(query, marketName, reserve = null) {
+  const market = resolveMarket(marketName);
+  const period = query.get('period');
+  const { limit, offset } = parsePageParams(query);
+
+  if (!ROLLUP_PERIODS[period]) {
+    throw httpError(400, `period must be one of: ${Object.keys(ROLLUP_PERIODS).join(', ')}`);
+  }
+
+  const options = {
+    fromTimestamp: parseTimeParam(query, 'from'),
+    toTimestamp: parseTimeParam(query, 'to'),
+    limit,
+    offset
+  };
+  const { rows, total } = reserve
+    ? await getTokenRollups(market.chainId, market.name, reserve, period, options)
+    : await getMarketRollups(market.chainId, market.name, period, options);
+
+  return {
+    market: market.name,
+    reserve,
+    period,
+    data: rows,
+    pagination: buildPagination(limit, offset, rows, total)
+  };
+}
+
+/**
+ * Create the API server
+ * The storage backend is shared with the rest of the process.
+ * @param {Object} [options] - Server options
+ * @param {Object} [options.stream] - createSnapshotStream instance serving
+ *   /markets/:market/stream; without it the stream route answers 404
+ * @param {Object} [options.metrics] - createIndexerMetrics instance serving
+ *   /metrics; without it the metrics route answers 404
+ * @returns {http.Server} - Server that is not listening yet
+ */
+function createApiServer({ stream = null, metrics = null } = {}) {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+    try {
+      if (request.method !== 'GET') {
+        throw httpError(405, `${request.method} is not supported`);
+      }
+
+      if (url.pathname === '/metrics') {
+        if (!metrics) {
+          throw httpError(404, 'Metrics are only exported by the continuous indexer (--serve)');
+        }
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        response.end(metrics.render());
+        return;
+      }
+
+      const streamMatch = url.pathname.match(STREAM_ROUTE);
+      if (streamMatch) {
+        if (!stream) {
+          throw httpError(404, 'Live snapshots are only streamed by the continuous indexer (--serve)');
+        }
+        const symbols = (url.searchParams.get('symbols') || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+        stream.subscribe(request, response, { market: resolveMarket(decodePathSegment(streamMatch[1])).name, symbols });
+        return;
+      }
+
+      const route = ROUTES.find(candidate => candidate.pattern.test(url.pathname));
+      if (!route) {
+        throw httpError(404, `No route for ${url.pathname}`);
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1).map(decodePathSegment);
+      sendJson(response, 200, await route.handler(url.searchParams, ...params));
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        console.error(`${request.method} ${request.url} failed:`, error);
+      }
+      sendJson(response, statusCode, { error: statusCode === 500 ? 'Internal server error' : error.message });
+    }
+  });
+}
+
+/**
+ * Initialize storage and serve the API until SIGINT/SIGTERM
+ * @param {Object} [options] - Listen options
+ * @param {number} [options.port] - Port (API_PORT, default 3000)
+ * @param {string} [options.host] - Interface (API_HOST, default 127.0.0.1)
+ * @returns {Promise<http.Server>} - Listening server
+ */
+async function startApiServer({ port = API_PORT, host = API_HOST } = {}) {
+  await initializeDatabase();
+
+  const server = createApiServer();
+  await listenApiServer(server, { port, host });
+
+  const shutdown = async (signal) => {
+    console.log(`\n${signal} received, closing the API server...`);
+    await new Promise(resolve => server.close(resolve));
+    await closePool();
+    console.log('API server stopped');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  return server;
+}
+
+/**
+ * Start listening with an API server
+ * @param {http.Server} server - createApiServer instance
+ * @param {Object} [options] - Listen options
+ * @param {number} [options.port] - Port (API_PORT, default 3000)
+ * @param {string} [options.host] - Interface (API_HOST, default 127.0.0.1)
+ * @returns {Promise<void>} - Resolves once the server is listening
+ */
+async function listenApiServer(server, { port = API_PORT, host = API_HOST } = {}) {
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  console.log(`✓ API server listening on http://${host}:${server.address().port}`);
+}
+
+// Helper functions
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw httpError(400, `Malformed path segment "${segment}"`);
+  }
+}
+
+function resolveMarket(marketName) {
+  try {
+    return getMarket(marketName);
+  } catch (error) {
+    throw httpError(404, `Unknown market "${marketName}"`);
+  }
+}
+
+function parseIntegerParam(query, name) {
+  if (!query.has(name)) {
+    return null;
+  }
+
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || value < 0) {
+    throw httpError(400, `${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function parsePageParams(query) {
+  const limit = parseIntegerParam(query, 'limit') ?? DEFAULT_PAGE_SIZE;
+  const offset = parseIntegerParam(query, 'offset') ?? 0;
+
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { limit, offset };
+}
+
+function buildPagination(limit, offset, rows, total) {
+  return {
+    limit,
+    offset,
+    total,
+    nextOffset: offset + rows.length < total ? offset + rows.length : null
+  };
+}
+
+function parseTimeParam(query, name) {
+  if (!query.has(name)) {
+    return null;
+  }
+
+  // Unix seconds, or anything Date.parse understands (e.g. 2024-05-01T00:00:00Z)
+  const value = query.get(name);
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Math.floor(Date.parse(value) / 1000);
+  if (Number.isNaN(timestamp)) {
+    throw httpError(400, `${name} must be unix seconds or an ISO date`);
+  }
+  return timestamp;
+}
+
+function formatRow(row) {
+  const formatted = { ...row };
+  for (const column of JSON_COLUMNS) {
+    if (typeof formatted[column] === 'string') {
+      formatted[column] = JSON.parse(formatted[column]);
+    }
+  }
+  return formatted;
+}
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  response.end(JSON.stringify(body));
+}
+
+// Start the server if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1]) : API_PORT;
+
+  if (Number.isNaN(port)) {
+    console.log('Usage:');
+    console.log('  node src/api-server.js [--port N]');
+    console.log('    Serves stored metrics as JSON; API_PORT and API_HOST set the defaults');
+    process.exit(1);
+  }
+
+  startApiServer({ port }).catch(async (error) => {
+    console.error('API server failed to start:', error.message);
+    await closePool();
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createApiServer,
+  startApiServer,
+  listenApiServer
+};
@@ -0,0 +1,198 @@
+const { fetchBaseMetricsAtBlock } = require('./base-historical-metrics');
+const {
+  initializeDatabase,
+  storeMetrics,
+  getStoredBlockNumbers,
+  getCheckpoint,
+  saveCheckpoint,
+  closePool
+} = require('./db-storage');
+const { rebuildRollups } = require('./rollups');
+const { findFirstBlockAtOrAfter, isBlockArgument, resolveBlockArgument, printResumeCommand } = require('./block-time');
+const { getMarket, createProvider } = require('./markets');
+
+// Market backfilled when no --market is given
+const DEFAULT_MARKET = 'AaveV3Base';
+
+// Length of each time-based backfill interval in seconds
+const BACKFILL_INTERVALS = {
+  hour: 3600,
+  day: 86400
+};
+
+/**
+ * Yield the blocks a backfill should snapshot, in ascending order
+ * With `step.blocks` every Nth block from `startBlock` is used; with
+ * `step.interval` the first block at or after each hour/day boundary.
+ * @param {Object} provider - ethers provider
+ * @param {number} startBlock - First block of the range
+ * @param {number} endBlock - Last block of the range
+ * @param {Object} step - `{ blocks: N }` or `{ interval: 'hour' | 'day' }`
+ * @param {number|null} resumeAfter - Last block completed by a previous run
+ */
+async function* iterateBackfillBlocks(provider, startBlock, endBlock, step, resumeAfter) {
+  if (step.blocks) {
+    let blockNumber = startBlock;
+
+    // Jump to the first target after the checkpoint
+    if (resumeAfter !== null) {
+      blockNumber += (Math.floor((resumeAfter - startBlock) / step.blocks) + 1) * step.blocks;
+    }
+
+    for (; blockNumber <= endBlock; blockNumber += step.blocks) {
+      yield blockNumber;
+    }
+    return;
+  }
+
+  const intervalSeconds = BACKFILL_INTERVALS[step.interval];
+  let low = resumeAfter !== null ? resumeAfter + 1 : startBlock;
+  if (low > endBlock) {
+    return;
+  }
+
+  const firstBlock = await provider.getBlock(low);
+  let target = Math.ceil(firstBlock.timestamp / intervalSeconds) * intervalSeconds;
+
+  while (low <= endBlock) {
+    // Block timestamps grow by at least a second, so the next boundary is
+    // never more than `intervalSeconds` blocks away
+    const high = Math.min(endBlock, low + intervalSeconds);
+    const blockNumber = await findFirstBlockAtOrAfter(provider, target, { low, high });
+
+    if (blockNumber === null) {
+      return;
+    }
+
+    yield blockNumber;
+    low = blockNumber + 1;
+    target += intervalSeconds;
+  }
+}
+
+/**
+ * Backfill the stored AAVE metrics of a market over a block range
+ * Progress is checkpointed after every block, so re-running the same
+ * command resumes where an interrupted run stopped. Blocks that already
+ * have a stored snapshot are skipped. The rollups of the range are rebuilt
+ * once every block is stored, since they usually lie behind the rollup watermark.
+ * @param {number} startBlock - First block of the range
+ * @param {number} endBlock - Last block of the range
+ * @param {Object} [step] - `{ blocks: N }` or `{ interval: 'hour' | 'day' }`
+ * @param {string} [marketName] - aave-address-book market name (default AaveV3Base)
+ * @returns {Promise<Object>} - Counts of stored and skipped blocks
+ */
+async function backfillBaseMetrics(startBlock, endBlock, step = { blocks: 1 }, marketName = DEFAULT_MARKET) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
+  const stepLabel = step.blocks ? `every ${step.blocks} blocks` : `every ${step.interval}`;
+  const jobName = `backfill:${market.name}:${startBlock}-${endBlock}:${step.blocks ? `${step.blocks}b` : step.interval}`;
+
+  console.log(`Backfilling ${market.name} AAVE metrics from block ${startBlock} to ${endBlock} (${stepLabel})...`);
+
+  await initializeDatabase();
+
+  const checkpoint = await getCheckpoint(jobName);
+  if (checkpoint !== null) {
+    console.log(`Resuming after checkpointed block ${checkpoint}`);
+  }
+
+  const storedBlocks = await getStoredBlockNumbers(market.chainId, market.name, startBlock, endBlock);
+  const counts = { stored: 0, skipped: 0 };
+
+  for await (const blockNumber of iterateBackfillBlocks(provider, startBlock, endBlock, step, checkpoint)) {
+    const progress = endBlock > startBlock
+      ? ((blockNumber - startBlock) / (endBlock - startBlock)) * 100
+      : 100;
+
+    if (storedBlocks.has(blockNumber)) {
+      counts.skipped++;
+      console.log(`Block ${blockNumber} already stored, skipping (${progress.toFixed(1)}%)`);
+      await saveCheckpoint(jobName, blockNumber);
+    } else {
+      // The checkpoint moves in the same transaction as the snapshot
+      const metrics = await fetchBaseMetricsAtBlock(blockNumber, market.name);
+      await storeMetrics(metrics, { checkpointName: jobName });
+      counts.stored++;
+      console.log(`✓ Block ${blockNumber} backfilled (${progress.toFixed(1)}%)`);
+    }
+  }
+
+  console.log(`\nBackfill completed: ${counts.stored} blocks stored, ${counts.skipped} already present`);
+
+  await rebuildRollups(market.name, startBlock, endBlock);
+  return counts;
+}
+
+/**
+ * Parse the `--step N` / `--every hour|day` command line options
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} - Backfill step
+ */
+function parseBackfillStep(args) {
+  const stepIndex = args.indexOf('--step');
+  const everyIndex = args.indexOf('--every');
+
+  if (everyIndex !== -1) {
+    const interval = args[everyIndex + 1];
+    if (!BACKFILL_INTERVALS[interval]) {
+      throw new Error(`--every must be one of: ${Object.keys(BACKFILL_INTERVALS).join(', ')}`);
+    }
+    return { interval };
+  }
+
+  if (stepIndex !== -1) {
+    const blocks = parseInt(args[stepIndex + 1]);
+    if (isNaN(blocks) || blocks < 1) {
+      throw new Error('--step must be a positive number of blocks');
+    }
+    return { blocks };
+  }
+
+  return { blocks: 1 };
+}
+
+// Execute the backfill if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : DEFAULT_MARKET;
+
+  if (!isBlockArgument(args[0]) || !isBlockArgument(args[1])) {
+    console.log('Usage:');
+    console.log('  node src/base-backfill.js <startBlock> <endBlock> [--step N | --every hour|day] [--market name]');
+    console.log('    Stores a snapshot every N blocks (default 1) or one per hour/day; the market defaults to AaveV3Base');
+    console.log('    Blocks can also be ISO dates or relative times, resolved to the nearest block');
+    console.log('    Re-run with the same block numbers to resume an interrupted backfill');
+    console.log('\nExamples:');
+    console.log('  node src/base-backfill.js 28000000 28489917 --every hour');
+    console.log('  node src/base-backfill.js 2025-04-01 "1d ago" --every day');
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const step = parseBackfillStep(args);
+      const provider = createProvider(getMarket(marketName).chainId);
+      const startBlock = await resolveBlockArgument(provider, args[0]);
+      const endBlock = await resolveBlockArgument(provider, args[1]);
+      if (endBlock < startBlock) {
+        throw new Error(`End block ${endBlock} is before start block ${startBlock}`);
+      }
+
+      printResumeCommand('src/base-backfill.js', args, { 0: startBlock, 1: endBlock });
+
+      await backfillBaseMetrics(startBlock, endBlock, step, marketName);
+    } catch (error) {
+      console.error('Backfill failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  backfillBaseMetrics,
+  iterateBackfillBlocks
+};
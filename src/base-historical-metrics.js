@@ -1,13 +1,10 @@
-const { ethers } = require('ethers');
-const { UiPoolDataProvider, UiIncentiveDataProvider } = require('@aave/contract-helpers');
-const { formatReservesAndIncentives } = require('@aave/math-utils');
-const markets = require('@bgd-labs/aave-address-book');
 const dayjs = require('dayjs');
 const fs = require('fs');
 const path = require('path');
-
-// Configure Base RPC URL
-const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/d40IDFW5NaYldNIOSb_vuJBNF5sm1WR7';
+const { fetchMarketReserves, buildMetricsSnapshot } = require('./reserve-metrics');
+const { fetchWatchlistPositions } = require('./positions');
+const { isBlockArgument, resolveBlockArgument } = require('./block-time');
+const { getMarket, createProvider } = require('./markets');
 
 // Create data directory if it doesn't exist
 const dataDir = path.join(__dirname, '..', 'data');
@@ -15,162 +12,72 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Base network configuration
-const BASE_CHAIN_ID = 8453;
-
-// Check if Base is supported in the aave-address-book
-let baseAddresses;
-try {
-  baseAddresses = markets.AaveV3Base;
-  console.log('Using Base addresses from aave-address-book');
-} catch (error) {
-  console.log('Base addresses not found in aave-address-book, using hardcoded addresses');
-}
-
-// Base network AAVE contract addresses
-const BASE_AAVE_ADDRESSES = baseAddresses || {
-  // Using Aave V3 Base addresses
-  POOL_ADDRESSES_PROVIDER: '0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D',
-  UI_POOL_DATA_PROVIDER: '0x2d8A3C5677189723C4cB8873CfC9C8976FDF38Ac',
-  UI_INCENTIVE_DATA_PROVIDER: '0x9842E5B7b7C6cEDfB1952a388e050582Ff95645b',
-  POOL: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5'
-};
+// Market read when no --market is given; its files keep the original base-* names
+const DEFAULT_MARKET = 'AaveV3Base';
 
 /**
- * Fetches AAVE metrics for a specific block number on Base blockchain
- * @param {number} blockNumber - The Base blockchain block number to fetch data for
+ * Fetches AAVE metrics of a market for a specific block number
+ * @param {number|string} blockNumber - The block number to fetch data for, or a
+ *   time ("2025-04-01T00:00Z", "7d ago") resolved to the nearest block
+ * @param {string} [marketName] - aave-address-book market name (default AaveV3Base)
  * @returns {Promise<Object>} - Object containing the metrics data
  */
-async function fetchBaseMetricsAtBlock(blockNumber) {
-  console.log(`Fetching Base AAVE metrics for block ${blockNumber}...`);
-  
-  // Initialize ethers provider with specific block
-  const provider = new ethers.providers.JsonRpcProvider(BASE_RPC_URL);
+async function fetchBaseMetricsAtBlock(blockNumber, marketName = DEFAULT_MARKET) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
   
-  // Initialize Aave data provider contracts
-  const poolDataProviderContract = new UiPoolDataProvider({
-    uiPoolDataProviderAddress: BASE_AAVE_ADDRESSES.UI_POOL_DATA_PROVIDER,
-    provider,
-    chainId: BASE_CHAIN_ID,
-  });
-
-  const incentiveDataProviderContract = new UiIncentiveDataProvider({
-    uiIncentiveDataProviderAddress: BASE_AAVE_ADDRESSES.UI_INCENTIVE_DATA_PROVIDER,
-    provider,
-    chainId: BASE_CHAIN_ID,
-  });
-
   try {
+    blockNumber = await resolveBlockArgument(provider, blockNumber);
+    console.log(`Fetching ${market.name} AAVE metrics for block ${blockNumber}...`);
+    
     // Get block info
     const block = await provider.getBlock(blockNumber);
     if (!block) {
-      throw new Error(`Block ${blockNumber} not found on Base blockchain`);
+      throw new Error(`Block ${blockNumber} not found on ${market.network}`);
     }
     
-    // Fetch reserves data at specified block
-    const reserves = await poolDataProviderContract.getReservesHumanized({
-      lendingPoolAddressProvider: BASE_AAVE_ADDRESSES.POOL_ADDRESSES_PROVIDER,
-    }, { blockTag: blockNumber });
-
-    // Fetch incentives data at specified block
-    const reserveIncentives = await incentiveDataProviderContract.getReservesIncentivesDataHumanized({
-      lendingPoolAddressProvider: BASE_AAVE_ADDRESSES.POOL_ADDRESSES_PROVIDER,
-    }, { blockTag: blockNumber });
+    // Fetch reserves and incentives data at specified block
+    const { reserves, reserveIncentives, eModes } = await fetchMarketReserves(
+      provider, market.addresses, market.chainId, blockNumber
+    );
+    
+    // Positions of watched accounts, if a watchlist is configured
+    const userPositions = await fetchWatchlistPositions(
+      provider, market.addresses, market.chainId, blockNumber
+    );
 
-    // Format reserves data with incentives
-    const formattedReserves = formatReservesAndIncentives({
-      reserves: reserves.reservesData,
-      currentTimestamp: block.timestamp,
-      marketReferenceCurrencyDecimals: reserves.baseCurrencyData.marketReferenceCurrencyDecimals,
-      marketReferencePriceInUsd: reserves.baseCurrencyData.marketReferenceCurrencyPriceInUsd,
+    // Build the snapshot with the shared reserve metrics core
+    return buildMetricsSnapshot({
+      reserves,
       reserveIncentives,
+      eModes,
+      block,
+      network: market.network,
+      chainId: market.chainId,
+      market: market.name,
+      userPositions
     });
-
-    // Extract metrics for each token
-    const metricsPerToken = formattedReserves.map(reserve => {
-      // Convert price from wei to normal value (divide by 10^18)
-      const priceInUSD = (reserve.priceInMarketReferenceCurrency * 
-        reserves.baseCurrencyData.marketReferenceCurrencyPriceInUsd) / 1e18;
-      
-      // Calculate liquidity (Supplied - Borrowed)
-      const totalSupplied = parseFloat(reserve.totalLiquidity);
-      const totalBorrowed = parseFloat(reserve.totalDebt);
-      const liquidity = totalSupplied - totalBorrowed;
-      
-      // Calculate USD values
-      const liquidityUSD = liquidity * priceInUSD;
-      const totalSuppliedUSD = totalSupplied * priceInUSD;
-      const totalBorrowedUSD = totalBorrowed * priceInUSD;
-      
-      // Calculate utilization rate
-      const utilizationRate = totalSupplied > 0 
-        ? (totalBorrowed / totalSupplied) * 100 
-        : 0;
-      
-      return {
-        token: reserve.name,
-        symbol: reserve.symbol,
-        // 1. Price on that block (converted from wei)
-        priceInUSD,
-        // 2. Liquidity (Supplied - Borrowed)
-        liquidity,
-        liquidityUSD,
-        totalSupplied,
-        totalSuppliedUSD,
-        totalBorrowed,
-        totalBorrowedUSD,
-        // 3. Utilization rate
-        utilizationRate,
-        // 4. Reserves
-        reserves: parseFloat(reserve.reserves),
-        // 5. Reserve factor
-        reserveFactor: parseFloat(reserve.reserveFactor) * 100,
-        // 6. Liquidation threshold
-        liquidationThreshold: parseFloat(reserve.formattedReserveLiquidationThreshold),
-        // 7. Borrow Enabled
-        borrowEnabled: reserve.borrowingEnabled,
-        // 8. Supply Cap
-        supplyCap: parseFloat(reserve.supplyCap),
-        // 9. Borrow Cap
-        borrowCap: parseFloat(reserve.borrowCap),
-        // Additional useful metrics
-        supplyAPY: parseFloat(reserve.supplyAPY) * 100,
-        variableBorrowAPY: parseFloat(reserve.variableBorrowAPY) * 100,
-        stableBorrowAPY: parseFloat(reserve.stableBorrowAPY) * 100,
-      };
-    });
-
-    return {
-      network: 'Base',
-      chainId: BASE_CHAIN_ID,
-      blockNumber,
-      timestamp: block.timestamp,
-      date: new Date(block.timestamp * 1000).toISOString(),
-      totalMarketSize: calculateTotalMarketSize(formattedReserves),
-      totalAvailable: calculateTotalAvailable(formattedReserves),
-      totalBorrows: calculateTotalBorrows(formattedReserves),
-      averageUtilization: calculateAverageUtilization(formattedReserves),
-      tokenCount: metricsPerToken.length,
-      tokenMetrics: metricsPerToken
-    };
     
   } catch (error) {
-    console.error(`Error fetching Base metrics for block ${blockNumber}:`, error);
+    console.error(`Error fetching ${market.name} metrics for block ${blockNumber}:`, error);
     throw error;
   }
 }
 
 /**
- * Compare metrics between two blocks on Base blockchain
- * @param {number} startBlock - Starting block number
- * @param {number} endBlock - Ending block number
+ * Compare the metrics of a market between two blocks
+ * @param {number|string} startBlock - Starting block number or time
+ * @param {number|string} endBlock - Ending block number or time
+ * @param {string} [marketName] - aave-address-book market name (default AaveV3Base)
  */
-async function compareBaseBlockMetrics(startBlock, endBlock) {
+async function compareBaseBlockMetrics(startBlock, endBlock, marketName = DEFAULT_MARKET) {
   try {
-    const startMetrics = await fetchBaseMetricsAtBlock(startBlock);
-    const endMetrics = await fetchBaseMetricsAtBlock(endBlock);
+    const startMetrics = await fetchBaseMetricsAtBlock(startBlock, marketName);
+    const endMetrics = await fetchBaseMetricsAtBlock(endBlock, marketName);
+    startBlock = startMetrics.blockNumber;
+    endBlock = endMetrics.blockNumber;
     
-    console.log(`\n===== BASE AAVE METRICS COMPARISON =====`);
+    console.log(`\n===== ${startMetrics.market.toUpperCase()} METRICS COMPARISON =====`);
     console.log(`From block ${startBlock} (${startMetrics.date})`);
     console.log(`To block ${endBlock} (${endMetrics.date})`);
     console.log(`Time difference: ${formatTimeDifference(endMetrics.timestamp - startMetrics.timestamp)}`);
@@ -240,6 +147,21 @@ async function compareBaseBlockMetrics(startBlock, endBlock) {
         console.log(`  Supply APY: ${startToken.supplyAPY.toFixed(2)}% → ${endToken.supplyAPY.toFixed(2)}% (${formatPercentagePoints(supplyAPYChange)})`);
         console.log(`  Variable Borrow APY: ${startToken.variableBorrowAPY.toFixed(2)}% → ${endToken.variableBorrowAPY.toFixed(2)}% (${formatPercentagePoints(varBorrowAPYChange)})`);
         
+        // Incentive changes, only for reserves with rewards on either block
+        if (startToken.supplyIncentives.length > 0 || endToken.supplyIncentives.length > 0) {
+          const supplyIncentiveChange = endToken.supplyIncentiveAPR - startToken.supplyIncentiveAPR;
+          const netSupplyAPYChange = endToken.netSupplyAPY - startToken.netSupplyAPY;
+          console.log(`  Supply Incentive APR: ${startToken.supplyIncentiveAPR.toFixed(2)}% → ${endToken.supplyIncentiveAPR.toFixed(2)}% (${formatPercentagePoints(supplyIncentiveChange)})`);
+          console.log(`  Net Supply APY: ${startToken.netSupplyAPY.toFixed(2)}% → ${endToken.netSupplyAPY.toFixed(2)}% (${formatPercentagePoints(netSupplyAPYChange)})`);
+        }
+        
+        if (startToken.borrowIncentives.length > 0 || endToken.borrowIncentives.length > 0) {
+          const borrowIncentiveChange = endToken.borrowIncentiveAPR - startToken.borrowIncentiveAPR;
+          const netBorrowAPYChange = endToken.netBorrowAPY - startToken.netBorrowAPY;
+          console.log(`  Borrow Incentive APR: ${startToken.borrowIncentiveAPR.toFixed(2)}% → ${endToken.borrowIncentiveAPR.toFixed(2)}% (${formatPercentagePoints(borrowIncentiveChange)})`);
+          console.log(`  Net Borrow APY: ${startToken.netBorrowAPY.toFixed(2)}% → ${endToken.netBorrowAPY.toFixed(2)}% (${formatPercentagePoints(netBorrowAPYChange)})`);
+        }
+        
       } else if (startToken && !endToken) {
         // Token removed
         console.log(`\n${startToken.token} (${symbol}): REMOVED from market`);
@@ -254,8 +176,9 @@ async function compareBaseBlockMetrics(startBlock, endBlock) {
     
     // Save comparison to file
     const comparisonData = {
-      network: 'Base',
-      chainId: BASE_CHAIN_ID,
+      network: startMetrics.network,
+      chainId: startMetrics.chainId,
+      market: startMetrics.market,
       startBlock: startMetrics,
       endBlock: endMetrics,
       timeDifferenceSeconds: endMetrics.timestamp - startMetrics.timestamp,
@@ -265,7 +188,7 @@ async function compareBaseBlockMetrics(startBlock, endBlock) {
       }
     };
     
-    const filename = path.join(dataDir, `base-comparison-${startBlock}-${endBlock}.json`);
+    const filename = path.join(dataDir, `${getFilePrefix(startMetrics.market)}-comparison-${startBlock}-${endBlock}.json`);
     fs.writeFileSync(
       filename, 
       JSON.stringify(comparisonData, null, 2),
@@ -275,40 +198,19 @@ async function compareBaseBlockMetrics(startBlock, endBlock) {
     console.log(`\nComparison data saved to ${filename}`);
     
   } catch (error) {
-    console.error('Error comparing Base block metrics:', error);
+    console.error('Error comparing block metrics:', error);
   }
 }
 
 // Helper functions
-function calculateTotalMarketSize(formattedReserves) {
-  return formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalLiquidityUSD);
-  }, 0);
-}
-
-function calculateTotalAvailable(formattedReserves) {
-  return calculateTotalMarketSize(formattedReserves) - calculateTotalBorrows(formattedReserves);
-}
-
-function calculateTotalBorrows(formattedReserves) {
-  return formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalDebtUSD);
-  }, 0);
-}
-
-function calculateAverageUtilization(formattedReserves) {
-  const totalSupplied = formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalLiquidityUSD);
-  }, 0);
-  
-  const totalBorrowed = formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalDebtUSD);
-  }, 0);
-  
-  return totalSupplied > 0 ? (totalBorrowed / totalSupplied) * 100 : 0;
+function getFilePrefix(marketName) {
+  return marketName === DEFAULT_MARKET ? 'base' : marketName;
 }
 
 function calculatePercentChange(start, end) {
+  // Amounts arrive as exact decimal strings; precision only matters for storage
+  start = Number(start);
+  end = Number(end);
   if (start === 0) return end === 0 ? 0 : 100;
   return ((end - start) / Math.abs(start)) * 100;
 }
@@ -332,8 +234,9 @@ function formatPercentagePoints(value) {
   return `${sign}${value.toFixed(2)} percentage points`;
 }
 
+// A cap of 0 means the reserve is uncapped
 function formatCap(value) {
-  return value === Infinity ? 'Unlimited' : value.toLocaleString();
+  return Number(value) === 0 ? 'Unlimited' : Number(value).toLocaleString();
 }
 
 function formatTimeDifference(secondsDiff) {
@@ -351,38 +254,39 @@ function formatTimeDifference(secondsDiff) {
 
 // If this script is run directly, use the provided blocks or fetch the latest
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const allArgs = process.argv.slice(2);
+  const marketIndex = allArgs.indexOf('--market');
+  const marketName = marketIndex !== -1 ? allArgs[marketIndex + 1] : DEFAULT_MARKET;
+  const args = allArgs.filter((arg, index) => !arg.startsWith('--') && (marketIndex === -1 || index !== marketIndex + 1));
   
   if (args.length === 2) {
-    // Compare blocks provided via command line
-    const startBlock = parseInt(args[0]);
-    const endBlock = parseInt(args[1]);
+    // Compare blocks (or times) provided via command line
+    const [startBlock, endBlock] = args;
     
-    if (isNaN(startBlock) || isNaN(endBlock)) {
-      console.error('Please provide valid block numbers');
+    if (!isBlockArgument(startBlock) || !isBlockArgument(endBlock)) {
+      console.error('Please provide valid block numbers or times');
       process.exit(1);
     }
     
-    compareBaseBlockMetrics(startBlock, endBlock);
+    compareBaseBlockMetrics(startBlock, endBlock, marketName);
   } else if (args.length === 1) {
-    // Fetch a single block
-    const blockNumber = parseInt(args[0]);
-    
-    if (isNaN(blockNumber)) {
-      console.error('Please provide a valid block number');
+    // Fetch a single block (or time)
+    if (!isBlockArgument(args[0])) {
+      console.error('Please provide a valid block number or time');
       process.exit(1);
     }
     
-    fetchBaseMetricsAtBlock(blockNumber)
+    fetchBaseMetricsAtBlock(args[0], marketName)
       .then(metrics => {
-        console.log(`\nBase AAVE metrics for block ${blockNumber}:`);
+        const { blockNumber } = metrics;
+        console.log(`\n${metrics.market} AAVE metrics for block ${blockNumber}:`);
         console.log(`Date: ${metrics.date}`);
         console.log(`Total Market Size: ${formatUSD(metrics.totalMarketSize)}`);
         console.log(`Total Available: ${formatUSD(metrics.totalAvailable)}`);
         console.log(`Total Borrows: ${formatUSD(metrics.totalBorrows)}`);
         
         // Save to file
-        const filename = path.join(dataDir, `base-block-${blockNumber}.json`);
+        const filename = path.join(dataDir, `${getFilePrefix(metrics.market)}-block-${blockNumber}.json`);
         fs.writeFileSync(
           filename, 
           JSON.stringify(metrics, null, 2),
@@ -398,12 +302,16 @@ if (require.main === module) {
   } else {
     // Help text if no arguments provided
     console.log('Usage:');
-    console.log('  node base-historical-metrics.js <blockNumber>');
+    console.log('  node base-historical-metrics.js <blockNumber> [--market name]');
     console.log('    Fetches metrics for a specific block');
-    console.log('  node base-historical-metrics.js <startBlock> <endBlock>');
+    console.log('  node base-historical-metrics.js <startBlock> <endBlock> [--market name]');
     console.log('    Compares metrics between two blocks');
-    console.log('\nExample:');
+    console.log('    Blocks can also be given as ISO dates or relative times, resolved to the nearest block');
+    console.log('    The market defaults to AaveV3Base');
+    console.log('\nExamples:');
     console.log('  node base-historical-metrics.js 4000000 4100000');
+    console.log('  node base-historical-metrics.js "7d ago" now');
+    console.log('  node base-historical-metrics.js 2025-04-01T00:00Z');
   }
 }
 
@@ -1,18 +1,22 @@
-const { ethers } = require('ethers');
-const {
-  UiPoolDataProvider,
-  UiIncentiveDataProvider,
-  ChainId,
-} = require('@aave/contract-helpers');
-const { formatReservesAndIncentives } = require('@aave/math-utils');
-const markets = require('@bgd-labs/aave-address-book');
-const dayjs = require('dayjs');
 const fs = require('fs');
 const path = require('path');
-const { initializeDatabase, storeMetrics } = require('./db-storage');
-
-// Configure Base RPC URL
-const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://base-mainnet.g.alchemy.com/v2/d40IDFW5NaYldNIOSb_vuJBNF5sm1WR7';
+const {
+  initializeDatabase,
+  storeMetrics,
+  getCheckpoint,
+  saveCheckpoint,
+  closePool
+} = require('./db-storage');
+const { detectAndRollbackReorg, extendsStoredChain } = require('./reorg-detector');
+const { createWorkLoop, runOrderedPipeline } = require('./job-scheduler');
+const { fetchMarketReserves, buildMetricsSnapshot } = require('./reserve-metrics');
+const { fetchWatchlistPositions, printPositions } = require('./positions');
+const { getTouchedReservesByBlock } = require('./pool-events');
+const { createSnapshotStream } = require('./snapshot-stream');
+const { createIndexerMetrics } = require('./indexer-metrics');
+const { updateRollups } = require('./rollups');
+const { createApiServer, listenApiServer } = require('./api-server');
+const { getMarket, createProvider } = require('./markets');
 
 // Create data directory if it doesn't exist
 const dataDir = path.join(__dirname, '..', 'data');
@@ -26,198 +30,64 @@ if (!fs.existsSync(blocksDir)) {
   fs.mkdirSync(blocksDir, { recursive: true });
 }
 
-// Base network configuration
-// Base is EVM compatible with chain ID 8453
-const BASE_CHAIN_ID = 8453;
-
-// Check if Base is supported in the aave-address-book
-let baseAddresses;
-try {
-  baseAddresses = markets.AaveV3Base;
-  console.log('Using Base addresses from aave-address-book');
-} catch (error) {
-  console.log('Base addresses not found in aave-address-book, using hardcoded addresses');
-}
+// Market indexed when no --market is given; its files keep the original base-* names
+const DEFAULT_MARKET = 'AaveV3Base';
 
-// Base network AAVE contract addresses
-const BASE_AAVE_ADDRESSES = baseAddresses || {
-  // Using Aave V3 Base addresses
-  // These are the correct contract addresses for Base network AAVE
-  POOL_ADDRESSES_PROVIDER: '0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D', // Pool Addresses Provider
-  UI_POOL_DATA_PROVIDER: '0x2d8A3C5677189723C4cB8873CfC9C8976FDF38Ac', // UI Pool Data Provider
-  UI_INCENTIVE_DATA_PROVIDER: '0x9842E5B7b7C6cEDfB1952a388e050582Ff95645b', // UI Incentive Data Provider
-  POOL: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5'
-};
-
-async function fetchReservesList() {
-  console.log('Fetching AAVE reserves list from Base blockchain...');
-  
-  // Initialize ethers provider
-  const provider = new ethers.providers.JsonRpcProvider(BASE_RPC_URL);
-  
-  // Create interface for Pool Addresses Provider
-  const poolAddressesProviderInterface = new ethers.utils.Interface([
-    'function getPool() view returns (address)'
-  ]);
-  
-  // Create instance of Pool Addresses Provider contract
-  const poolAddressesProvider = new ethers.Contract(
-    BASE_AAVE_ADDRESSES.POOL_ADDRESSES_PROVIDER,
-    poolAddressesProviderInterface,
-    provider
-  );
-  
-  try {
-    // Get pool address
-    const poolAddress = await poolAddressesProvider.getPool();
-    console.log(`AAVE Pool address: ${poolAddress}`);
-    
-    // Create interface for Pool contract
-    const poolInterface = new ethers.utils.Interface([
-      'function getReservesList() view returns (address[])'
-    ]);
-    
-    // Create instance of Pool contract
-    const pool = new ethers.Contract(
-      poolAddress,
-      poolInterface,
-      provider
-    );
-    
-    // Get reserves list
-    const reservesList = await pool.getReservesList();
-    console.log(`Found ${reservesList.length} reserves on Base blockchain`);
-    return reservesList;
-  } catch (error) {
-    console.error('Error fetching reserves list:', error);
-    throw error;
-  }
-}
-
-async function indexBaseAaveMetrics(blockNumber = null, storeInDb = false) {
-  console.log('Initializing Base AAVE metrics indexer...');
+/**
+ * Index AAVE metrics for a market block, save them to JSON and optionally storage
+ * @param {number|null} blockNumber - Block to index, or null for the latest
+ * @param {boolean} storeInDb - Store the snapshot via storeMetrics
+ * @param {Object} [options] - Indexing options
+ * @param {string} [options.market] - aave-address-book market name (default AaveV3Base)
+ * @param {boolean} [options.saveFiles] - Write the JSON files (default true)
+ * @param {Object} [options.provider] - ethers provider to read with (default the market's chain RPC)
+ * @returns {Promise<Object>} - The metrics data
+ */
+async function indexBaseAaveMetrics(blockNumber = null, storeInDb = false, options = {}) {
+  const market = getMarket(options.market || DEFAULT_MARKET);
+  console.log(`Initializing ${market.name} AAVE metrics indexer...`);
   
   // Initialize ethers provider
-  const provider = new ethers.providers.JsonRpcProvider(BASE_RPC_URL);
+  const provider = options.provider || createProvider(market.chainId);
   
   try {
     // Get current block or use provided block number
     const currentBlock = blockNumber || await provider.getBlockNumber();
-    console.log(`Processing Base blockchain block: ${currentBlock}`);
+    console.log(`Processing ${market.network} block: ${currentBlock}`);
     
-    // For diagnostic purposes, fetch the reserves list directly
-    await fetchReservesList();
+    // Block hashes let continuous mode detect chain reorganizations
+    const block = await provider.getBlock(currentBlock);
     
-    // Initialize Aave data provider contracts
-    const poolDataProviderContract = new UiPoolDataProvider({
-      uiPoolDataProviderAddress: BASE_AAVE_ADDRESSES.UI_POOL_DATA_PROVIDER,
-      provider,
-      chainId: BASE_CHAIN_ID,
-    });
-
-    const incentiveDataProviderContract = new UiIncentiveDataProvider({
-      uiIncentiveDataProviderAddress: BASE_AAVE_ADDRESSES.UI_INCENTIVE_DATA_PROVIDER,
-      provider,
-      chainId: BASE_CHAIN_ID,
-    });
-
-    // Fetch reserves data - use specific block if provided
-    const blockTag = blockNumber ? { blockTag: blockNumber } : undefined;
+    // Fetch reserves and incentives data at the block being indexed
+    const { reserves, reserveIncentives, eModes } = await fetchMarketReserves(
+      provider, market.addresses, market.chainId, currentBlock
+    );
     
-    const reserves = await poolDataProviderContract.getReservesHumanized({
-      lendingPoolAddressProvider: BASE_AAVE_ADDRESSES.POOL_ADDRESSES_PROVIDER,
-    }, blockTag);
-
-    // Fetch incentives data - use specific block if provided
-    const reserveIncentives = await incentiveDataProviderContract.getReservesIncentivesDataHumanized({
-      lendingPoolAddressProvider: BASE_AAVE_ADDRESSES.POOL_ADDRESSES_PROVIDER,
-    }, blockTag);
-
-    const currentTimestamp = dayjs().unix();
+    // Positions of watched accounts, if a watchlist is configured
+    const userPositions = await fetchWatchlistPositions(
+      provider, market.addresses, market.chainId, currentBlock
+    );
     
-    // Format reserves data with incentives
-    const formattedReserves = formatReservesAndIncentives({
-      reserves: reserves.reservesData,
-      currentTimestamp,
-      marketReferenceCurrencyDecimals: reserves.baseCurrencyData.marketReferenceCurrencyDecimals,
-      marketReferencePriceInUsd: reserves.baseCurrencyData.marketReferenceCurrencyPriceInUsd,
+    // Build the snapshot with the shared reserve metrics core
+    const metricsData = buildMetricsSnapshot({
+      reserves,
       reserveIncentives,
+      eModes,
+      block,
+      network: market.network,
+      chainId: market.chainId,
+      market: market.name,
+      userPositions
     });
-
-    // Extract metrics for each token
-    const metricsPerToken = formattedReserves.map(reserve => {
-      // Convert price from wei to normal value (divide by 10^16)
-      const priceInUSD = (reserve.priceInMarketReferenceCurrency * 
-        reserves.baseCurrencyData.marketReferenceCurrencyPriceInUsd) / 1e16;
-      
-      // Calculate liquidity (Supplied - Borrowed)
-      const totalSupplied = parseFloat(reserve.totalLiquidity);
-      const totalBorrowed = parseFloat(reserve.totalDebt);
-      const liquidity = totalSupplied - totalBorrowed;
-      
-      // Calculate USD values
-      const liquidityUSD = liquidity * priceInUSD;
-      const totalSuppliedUSD = totalSupplied * priceInUSD;
-      const totalBorrowedUSD = totalBorrowed * priceInUSD;
-      
-      // Calculate utilization rate
-      const utilizationRate = totalSupplied > 0 
-        ? (totalBorrowed / totalSupplied) * 100 
-        : 0;
-      
-      // Log the values with correct price
-      console.log(`\n${reserve.name} (${reserve.symbol}) - CONVERTED VALUES:`);
-      console.log(`Price (converted from wei): $${priceInUSD.toFixed(6)}`);
-      console.log(`Total Supplied (in USD): $${formatNumber(totalSuppliedUSD)}`);
-      console.log(`Total Borrowed (in USD): $${formatNumber(totalBorrowedUSD)}`);
-      console.log(`Liquidity (in USD): $${formatNumber(liquidityUSD)}`);
-      
-      return {
-        token: reserve.name,
-        symbol: reserve.symbol,
-        // 1. Price on that block (converted from wei)
-        priceInUSD,
-        // 2. Liquidity (Supplied - Borrowed)
-        liquidity,
-        liquidityUSD,
-        totalSupplied,
-        totalSuppliedUSD,
-        totalBorrowed,
-        totalBorrowedUSD,
-        // 3. Utilization rate
-        utilizationRate,
-        // 4. Reserves
-        reserves: parseFloat(reserve.reserves),
-        // 5. Reserve factor
-        reserveFactor: parseFloat(reserve.reserveFactor) * 100,
-        // 6. Liquidation threshold
-        liquidationThreshold: parseFloat(reserve.formattedReserveLiquidationThreshold),
-        // 7. Borrow Enabled
-        borrowEnabled: reserve.borrowingEnabled,
-        // 8. Supply Cap
-        supplyCap: parseFloat(reserve.supplyCap),
-        // 9. Borrow Cap
-        borrowCap: parseFloat(reserve.borrowCap),
-        // Additional useful metrics
-        supplyAPY: parseFloat(reserve.supplyAPY) * 100,
-        variableBorrowAPY: parseFloat(reserve.variableBorrowAPY) * 100,
-        stableBorrowAPY: parseFloat(reserve.stableBorrowAPY) * 100,
-      };
-    });
-
-    // Calculate market totals
-    const totalMarketSize = calculateTotalMarketSize(formattedReserves);
-    const totalAvailable = calculateTotalAvailable(formattedReserves);
-    const totalBorrows = calculateTotalBorrows(formattedReserves);
-    const averageUtilization = calculateAverageUtilization(formattedReserves);
+    const metricsPerToken = metricsData.tokenMetrics;
 
     // Print market summary
-    console.log('\n======== BASE AAVE METRICS INDEXER ========');
+    console.log(`\n======== ${market.name.toUpperCase()} METRICS INDEXER ========`);
     console.log(`Block: ${currentBlock}`);
-    console.log(`Total Market Size: ${formatUSD(totalMarketSize)}`);
-    console.log(`Total Available: ${formatUSD(totalAvailable)}`);
-    console.log(`Total Borrows: ${formatUSD(totalBorrows)}`);
-    console.log(`Average Utilization: ${averageUtilization.toFixed(2)}%`);
+    console.log(`Total Market Size: ${formatUSD(metricsData.totalMarketSize)}`);
+    console.log(`Total Available: ${formatUSD(metricsData.totalAvailable)}`);
+    console.log(`Total Borrows: ${formatUSD(metricsData.totalBorrows)}`);
+    console.log(`Average Utilization: ${metricsData.averageUtilization.toFixed(2)}%`);
     console.log(`Number of Tokens: ${metricsPerToken.length}`);
     console.log('===========================================');
     
@@ -231,68 +101,36 @@ async function indexBaseAaveMetrics(blockNumber = null, storeInDb = false) {
       console.log(`Utilization Rate: ${tokenMetrics.utilizationRate.toFixed(2)}%`);
       console.log(`Reserves: ${formatUSD(tokenMetrics.reserves)}`);
       console.log(`Reserve Factor: ${tokenMetrics.reserveFactor.toFixed(2)}%`);
-      console.log(`Liquidation Threshold: ${tokenMetrics.liquidationThreshold.toFixed(2)}%`);
+      console.log(`LTV: ${(tokenMetrics.loanToValue * 100).toFixed(2)}%`);
+      console.log(`Liquidation Threshold: ${(tokenMetrics.liquidationThreshold * 100).toFixed(2)}%`);
+      console.log(`Liquidation Bonus: ${(tokenMetrics.liquidationBonus * 100).toFixed(2)}%`);
       console.log(`Borrow Enabled: ${tokenMetrics.borrowEnabled}`);
-      console.log(`Supply Cap: ${tokenMetrics.supplyCap === Infinity ? 'Unlimited' : tokenMetrics.supplyCap.toLocaleString()}`);
-      console.log(`Borrow Cap: ${tokenMetrics.borrowCap === Infinity ? 'Unlimited' : tokenMetrics.borrowCap.toLocaleString()}`);
+      console.log(`Frozen: ${tokenMetrics.isFrozen}, Paused: ${tokenMetrics.isPaused}, Siloed Borrowing: ${tokenMetrics.isSiloedBorrowing}, Flash Loans: ${tokenMetrics.flashLoanEnabled}`);
+      if (tokenMetrics.isIsolated) {
+        console.log(`Isolation Mode Debt: ${formatUSD(tokenMetrics.isolationModeTotalDebtUSD)} of ${formatUSD(tokenMetrics.debtCeilingUSD)} ceiling`);
+      }
+      if (tokenMetrics.eModeCategories.length > 0) {
+        console.log(`eMode Categories: ${tokenMetrics.eModeCategories.map(category => `${category.id} ${category.label}`).join(', ')}`);
+      }
+      console.log(`Supply Cap: ${formatCapUsage(tokenMetrics.supplyCap, tokenMetrics.supplyCapUsage, tokenMetrics.supplyCapRemainingUSD)}`);
+      console.log(`Borrow Cap: ${formatCapUsage(tokenMetrics.borrowCap, tokenMetrics.borrowCapUsage, tokenMetrics.borrowCapRemainingUSD)}`);
       console.log(`Supply APY: ${tokenMetrics.supplyAPY.toFixed(2)}%`);
       console.log(`Variable Borrow APY: ${tokenMetrics.variableBorrowAPY.toFixed(2)}%`);
       console.log(`Stable Borrow APY: ${tokenMetrics.stableBorrowAPY.toFixed(2)}%`);
+      if (tokenMetrics.supplyIncentives.length > 0) {
+        console.log(`Supply Incentives: ${formatIncentives(tokenMetrics.supplyIncentives)} (net supply APY ${tokenMetrics.netSupplyAPY.toFixed(2)}%)`);
+      }
+      if (tokenMetrics.borrowIncentives.length > 0) {
+        console.log(`Borrow Incentives: ${formatIncentives(tokenMetrics.borrowIncentives)} (net borrow APY ${tokenMetrics.netBorrowAPY.toFixed(2)}%)`);
+      }
     });
-
-    // Prepare metrics data
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = path.join(dataDir, `base-aave-metrics-${timestamp}.json`);
-    
-    const metricsData = {
-      network: 'Base',
-      chainId: BASE_CHAIN_ID,
-      blockNumber: currentBlock,
-      timestamp: currentTimestamp,
-      date: new Date(currentTimestamp * 1000).toISOString(),
-      totalMarketSize,
-      totalAvailable,
-      totalBorrows,
-      averageUtilization,
-      tokenCount: metricsPerToken.length,
-      tokenMetrics: metricsPerToken
-    };
-    
-    // Save metrics to file
-    fs.writeFileSync(
-      filename, 
-      JSON.stringify(metricsData, null, 2),
-      'utf8'
-    );
     
-    console.log(`\nMetrics saved to ${filename}`);
-    
-    // Also save to a latest file
-    const latestFile = path.join(dataDir, 'base-aave-metrics-latest.json');
-    fs.writeFileSync(
-      latestFile,
-      JSON.stringify(metricsData, null, 2),
-      'utf8'
-    );
-    
-    console.log(`Latest metrics saved to ${latestFile}`);
-    
-    // If processing a specific block, also save to blocks directory
-    if (blockNumber) {
-      const blockFile = path.join(blocksDir, `base-block-${blockNumber}.json`);
-      fs.writeFileSync(
-        blockFile,
-        JSON.stringify(metricsData, null, 2),
-        'utf8'
-      );
-      
-      // Also update latest block file
-      const latestBlockFile = path.join(blocksDir, 'base-latest-block.json');
-      fs.writeFileSync(
-        latestBlockFile,
-        JSON.stringify(metricsData, null, 2),
-        'utf8'
-      );
+    if (metricsData.positions) {
+      printPositions(metricsData.positions);
+    }
+
+    if (options.saveFiles !== false) {
+      saveMetricsFiles(metricsData, Boolean(blockNumber));
     }
     
     // Store in database if requested
@@ -304,101 +142,317 @@ async function indexBaseAaveMetrics(blockNumber = null, storeInDb = false) {
     return metricsData;
     
   } catch (error) {
-    console.error('Error indexing Base AAVE metrics:', error);
+    console.error(`Error indexing ${market.name} metrics:`, error);
     throw error;
   }
 }
 
 /**
- * Starts continuous block monitoring for Base AAVE metrics
+ * Save a metrics snapshot to the timestamped and latest JSON files
+ * @param {Object} metricsData - The metrics data to save
+ * @param {boolean} isSpecificBlock - Also write the per-block files
+ */
+function saveMetricsFiles(metricsData, isSpecificBlock) {
+  const prefix = getFilePrefix(metricsData.market);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = path.join(dataDir, `${prefix}-aave-metrics-${timestamp}.json`);
+  
+  // Save metrics to file
+  fs.writeFileSync(
+    filename, 
+    JSON.stringify(metricsData, null, 2),
+    'utf8'
+  );
+  
+  console.log(`\nMetrics saved to ${filename}`);
+  
+  // Also save to a latest file
+  const latestFile = path.join(dataDir, `${prefix}-aave-metrics-latest.json`);
+  fs.writeFileSync(
+    latestFile,
+    JSON.stringify(metricsData, null, 2),
+    'utf8'
+  );
+  
+  console.log(`Latest metrics saved to ${latestFile}`);
+  
+  // If processing a specific block, also save to blocks directory
+  if (isSpecificBlock) {
+    const blockFile = path.join(blocksDir, `${prefix}-block-${metricsData.blockNumber}.json`);
+    fs.writeFileSync(
+      blockFile,
+      JSON.stringify(metricsData, null, 2),
+      'utf8'
+    );
+    
+    // Also update latest block file
+    const latestBlockFile = path.join(blocksDir, `${prefix}-latest-block.json`);
+    fs.writeFileSync(
+      latestBlockFile,
+      JSON.stringify(metricsData, null, 2),
+      'utf8'
+    );
+  }
+}
+
+/**
+ * Starts continuous block monitoring for the AAVE metrics of a market
+ * Every block from the last processed one up to the chain head is queued and
+ * indexed in order, so slow index runs never leave holes in the time series.
+ * Runs never overlap: blocks are fetched with bounded concurrency but stored
+ * and checkpointed strictly in block order, and fetching pauses while
+ * `maxPending` blocks are waiting to be stored.
+ * In event-driven mode only blocks with Pool events (supply, borrow, repay,
+ * withdraw, liquidation, reserve data updates) are snapshotted. This is block
+ * selection, not change detection: interest accrual and oracle price moves
+ * change reserves in blocks without Pool events, and those changes only show
+ * up at the next event block. Each selected block is snapshotted with every
+ * reserve, so stored snapshots look the same in both modes.
+ * Before each run the stored chain is checked for reorganizations and
+ * snapshots of orphaned blocks are deleted and re-indexed; a block whose
+ * parent hash does not match the stored previous block triggers the same
+ * rollback before it is stored.
+ * The last stored block is checkpointed, so a restart resumes where the
+ * previous run stopped; SIGINT/SIGTERM wait for the block in flight to commit.
+ * With `serve`, the API server runs in the same process: every stored
+ * snapshot is pushed to its /markets/:market/stream subscribers, and
+ * reserve state and indexer health are exported on /metrics.
+ * Hourly and daily rollups are brought up to date as new blocks are stored.
+ * @param {Object} [options] - Indexing options
+ * @param {string} [options.market] - aave-address-book market name (default AaveV3Base)
+ * @param {boolean} [options.eventDriven] - Only index blocks with Pool events
+ *   (INDEX_MODE=events, default false)
+ * @param {number} [options.sampleEvery] - Only index blocks that are a multiple
+ *   of this number (INDEX_EVERY_N_BLOCKS, default 1 = every block); ignored
+ *   in event-driven mode
+ * @param {number} [options.concurrency] - Blocks fetched in parallel (INDEX_CONCURRENCY, default 1)
+ * @param {number} [options.maxPending] - Fetched blocks allowed to wait for storage
+ *   (INDEX_MAX_PENDING, default 2 × concurrency)
+ * @param {number} [options.blockTimeoutMs] - Time limit for fetching one block
+ *   (INDEX_BLOCK_TIMEOUT_MS, default 120000)
+ * @param {boolean} [options.serve] - Serve the API, the live snapshot stream and /metrics
+ * @param {number} [options.port] - API port when serving (API_PORT, default 3000)
  */
-async function startContinuousIndexing() {
-  console.log('Starting continuous Base AAVE metrics indexing...');
+async function startContinuousIndexing(options = {}) {
+  const market = getMarket(options.market || DEFAULT_MARKET);
+  console.log(`Starting continuous ${market.name} AAVE metrics indexing...`);
+  
+  const eventDriven = options.eventDriven || process.env.INDEX_MODE === 'events';
+  const sampleEvery = options.sampleEvery || parseInt(process.env.INDEX_EVERY_N_BLOCKS) || 1;
+  const concurrency = options.concurrency || parseInt(process.env.INDEX_CONCURRENCY) || 1;
+  const maxPending = options.maxPending || parseInt(process.env.INDEX_MAX_PENDING) || concurrency * 2;
+  const blockTimeoutMs = options.blockTimeoutMs || parseInt(process.env.INDEX_BLOCK_TIMEOUT_MS) || 120000;
+  const checkpointName = `continuous:${market.name}`;
   
   try {
     // Initialize database schema first
     await initializeDatabase();
     console.log('Database schema initialized');
     
-    // Initialize ethers provider
-    const provider = new ethers.providers.JsonRpcProvider(BASE_RPC_URL);
+    // Metrics are always recorded; the stream and /metrics are only served with `serve`
+    const metrics = createIndexerMetrics([market.name]);
+    const stream = options.serve ? createSnapshotStream() : null;
+    const server = stream ? createApiServer({ stream, metrics }) : null;
+    if (server) {
+      await listenApiServer(server, { port: options.port });
+    }
+    
+    // Initialize ethers provider; every read it makes counts towards the RPC error metric
+    const provider = metrics.countRpcErrors(createProvider(market.chainId), market.name);
     
-    // Get current block as starting point
+    // Resume after the last stored block, or start at the current head
     const currentBlock = await provider.getBlockNumber();
-    console.log(`Starting from block ${currentBlock}...`);
+    const checkpoint = await getCheckpoint(checkpointName);
     
-    let lastProcessedBlock = currentBlock;
+    let lastProcessedBlock = checkpoint !== null ? Math.min(checkpoint, currentBlock) : currentBlock;
+    if (checkpoint !== null) {
+      console.log(`Resuming after checkpointed block ${lastProcessedBlock} (${currentBlock - lastProcessedBlock} blocks behind head)...`);
+    } else {
+      console.log(`Starting from block ${currentBlock}...`);
+    }
     
-    // Set up polling interval (2 seconds as requested)
+    let isStopping = false;
+    
+    // Pause between runs (2 seconds as requested)
     const POLLING_INTERVAL = 2000;
     
-    // Start polling for new blocks
-    const intervalId = setInterval(async () => {
+    // Upper bound on blocks queued per run, so head and reorgs are re-checked regularly
+    const MAX_BLOCKS_PER_RUN = 100;
+    
+    // Minimum pause between rollup updates; the open hour is rebuilt on every update
+    const ROLLUP_INTERVAL = parseInt(process.env.ROLLUP_INTERVAL_MS) || 60000;
+    let lastRollupAt = 0;
+    
+    async function timeIndexing(indexing) {
+      const startedAt = Date.now();
+      const metricsData = await indexing;
+      metrics.recordIndexDuration(market.name, (Date.now() - startedAt) / 1000);
+      return metricsData;
+    }
+    
+    // Delete snapshots of orphaned blocks and resume after the common ancestor
+    async function rollBackReorg() {
+      const reorg = await detectAndRollbackReorg(provider, market.chainId, market.name);
+      if (reorg) {
+        lastProcessedBlock = Math.min(lastProcessedBlock, reorg.commonAncestor);
+        await saveCheckpoint(checkpointName, lastProcessedBlock);
+        if (stream) {
+          stream.reset(market.name);
+        }
+      }
+    }
+    
+    async function processQueuedBlocks() {
       try {
-        const blockNumber = await provider.getBlockNumber();
+        // Roll back snapshots of orphaned blocks before queueing new ones
+        await rollBackReorg();
         
-        // Process only new blocks
-        if (blockNumber <= lastProcessedBlock) {
-          return;
-        }
+        const headBlock = await provider.getBlockNumber();
+        metrics.recordHeadLag(market.name, lastProcessedBlock, headBlock);
+        const lastQueuedBlock = Math.min(headBlock, lastProcessedBlock + MAX_BLOCKS_PER_RUN);
         
-        console.log(`\n==== New block detected: ${blockNumber} ====`);
+        let touchedReserves = null;
+        const queue = [];
+        
+        if (eventDriven) {
+          // Only blocks with Pool events are queued; reserves still drift
+          // between them through interest accrual and price moves
+          touchedReserves = await getTouchedReservesByBlock(
+            provider, market.addresses.POOL, lastProcessedBlock + 1, lastQueuedBlock
+          );
+          queue.push(...touchedReserves.keys());
+        } else {
+          // Queue every block up to head; blocks outside the sampling cadence
+          // are passed over on purpose
+          for (let blockNumber = lastProcessedBlock + 1; blockNumber <= lastQueuedBlock; blockNumber++) {
+            if (blockNumber % sampleEvery === 0) {
+              queue.push(blockNumber);
+            }
+          }
+        }
         
-        // Small delay to ensure the block is fully propagated
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        const committed = await runOrderedPipeline(queue, {
+          concurrency,
+          maxPending,
+          timeoutMs: blockTimeoutMs,
+          shouldStop: () => isStopping,
+          describeItem: blockNumber => `Block ${blockNumber}`,
+          
+          // Fetch metrics without touching shared files; those follow block order below
+          fetch: (blockNumber) => {
+            console.log(`\n==== Processing block: ${blockNumber} ====`);
+            if (touchedReserves) {
+              // Informational: the snapshot still covers every reserve
+              console.log(`Pool events touched ${touchedReserves.get(blockNumber).size} reserves`);
+            }
+            return timeIndexing(indexBaseAaveMetrics(blockNumber, false, { market: market.name, saveFiles: false, provider }));
+          },
+          
+          commit: async (blockNumber, metricsData) => {
+            // A fork switch within the run shows up as a parent hash mismatch;
+            // the run stops and the next one re-queues after the rollback
+            if (!await extendsStoredChain(market.chainId, market.name, metricsData)) {
+              await rollBackReorg();
+              throw new Error(`Block ${blockNumber} does not extend stored block ${blockNumber - 1}`);
+            }
+            
+            try {
+              // The checkpoint moves in the same transaction as the snapshot
+              await storeMetrics(metricsData, { checkpointName });
+            } catch (error) {
+              metrics.recordDbWriteFailure(market.name);
+              throw error;
+            }
+            saveMetricsFiles(metricsData, true);
+            metrics.recordSnapshot(metricsData);
+            if (stream) {
+              stream.publish(metricsData);
+            }
+            
+            // Update processed block
+            lastProcessedBlock = blockNumber;
+            
+            // Refresh head so lag reflects blocks produced while indexing
+            const currentHead = await provider.getBlockNumber();
+            logIndexingLag(lastProcessedBlock, currentHead, market.blockTimeSeconds);
+            metrics.recordHeadLag(market.name, lastProcessedBlock, currentHead);
+          }
+        });
         
-        // Fetch metrics for this block and store in database
-        await indexBaseAaveMetrics(blockNumber, true);
+        // Everything queued was stored, so unsampled or event-free trailing blocks are done too
+        if (committed === queue.length) {
+          lastProcessedBlock = Math.max(lastProcessedBlock, lastQueuedBlock);
+        }
         
-        // Update processed block
-        lastProcessedBlock = blockNumber;
+        if (committed > 0 && Date.now() - lastRollupAt >= ROLLUP_INTERVAL) {
+          lastRollupAt = Date.now();
+          try {
+            await updateRollups(market.name);
+          } catch (error) {
+            // Rollups resume from their last stored period on the next update
+            console.error('Rollup update failed:', error);
+          }
+        }
         
       } catch (error) {
-        console.error(`Error processing block:`, error);
+        // The failed block stays queued and is retried on the next run
+        console.error(`Error processing block ${lastProcessedBlock + 1}:`, error);
       }
-    }, POLLING_INTERVAL);
+    }
     
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
-      clearInterval(intervalId);
-      console.log('Continuous indexing stopped');
+    // Start polling for new blocks
+    const workLoop = createWorkLoop(processQueuedBlocks, { intervalMs: POLLING_INTERVAL });
+    workLoop.start();
+    
+    // Handle graceful shutdown: let the blocks in flight commit, then exit
+    const shutdown = async (signal) => {
+      if (isStopping) {
+        console.log(`${signal} received again, exiting immediately`);
+        process.exit(1);
+      }
+      
+      isStopping = true;
+      console.log(`\n${signal} received, waiting for blocks in progress to be stored...`);
+      await workLoop.stop();
+      
+      if (server) {
+        stream.close();
+        await new Promise(resolve => server.close(resolve));
+      }
+      await closePool();
+      console.log(`Continuous indexing stopped after block ${lastProcessedBlock}`);
       process.exit(0);
-    });
+    };
+    
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
     
-    console.log(`Continuous indexing started. Polling every ${POLLING_INTERVAL/1000} seconds. Press Ctrl+C to stop.`);
+    let cadence = sampleEvery > 1 ? `every ${sampleEvery}th block` : 'every block';
+    if (eventDriven) {
+      cadence = 'blocks with Pool events';
+    }
+    console.log(`Continuous indexing started (${cadence}, ${concurrency} concurrent). Polling every ${POLLING_INTERVAL/1000} seconds. Press Ctrl+C to stop.`);
   } catch (error) {
     console.error('Failed to start continuous indexing:', error);
     throw error;
   }
 }
 
-// Helper functions
-function calculateTotalMarketSize(formattedReserves) {
-  return formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalLiquidityUSD);
-  }, 0);
-}
-
-function calculateTotalAvailable(formattedReserves) {
-  return calculateTotalMarketSize(formattedReserves) - calculateTotalBorrows(formattedReserves);
-}
-
-function calculateTotalBorrows(formattedReserves) {
-  return formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalDebtUSD);
-  }, 0);
+/**
+ * Log how far the indexer is behind the chain head
+ * @param {number} processedBlock - Last processed block
+ * @param {number} headBlock - Current chain head
+ * @param {number|null} blockTimeSeconds - Average block time of the chain, when known
+ */
+function logIndexingLag(processedBlock, headBlock, blockTimeSeconds) {
+  const lagBlocks = Math.max(headBlock - processedBlock, 0);
+  const lagTime = blockTimeSeconds ? ` (~${lagBlocks * blockTimeSeconds}s)` : '';
+  console.log(`Lag: ${lagBlocks} blocks${lagTime} behind head ${headBlock}`);
 }
 
-function calculateAverageUtilization(formattedReserves) {
-  const totalSupplied = formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalLiquidityUSD);
-  }, 0);
-  
-  const totalBorrowed = formattedReserves.reduce((total, reserve) => {
-    return total + parseFloat(reserve.totalDebtUSD);
-  }, 0);
-  
-  return totalSupplied > 0 ? (totalBorrowed / totalSupplied) * 100 : 0;
+// Helper functions
+function getFilePrefix(marketName) {
+  return marketName === DEFAULT_MARKET ? 'base' : marketName;
 }
 
 function formatUSD(value) {
@@ -410,11 +464,35 @@ function formatUSD(value) {
   }).format(value);
 }
 
-function formatNumber(num) {
-  return new Intl.NumberFormat('en-US', {
-    maximumFractionDigits: 2,
-    minimumFractionDigits: 2
-  }).format(num);
+function formatCapUsage(cap, usage, remainingUSD) {
+  if (usage === null) {
+    return 'Unlimited';
+  }
+  return `${Number(cap).toLocaleString()} (${usage.toFixed(2)}% used, ${formatUSD(remainingUSD)} left)`;
+}
+
+function formatIncentives(incentives) {
+  return incentives.map(incentive => `${incentive.incentiveAPR.toFixed(2)}% ${incentive.rewardTokenSymbol}`).join(', ');
+}
+
+/**
+ * Read a positive integer command line flag such as `--every 10`
+ * @param {string[]} args - Command line arguments
+ * @param {string} flag - Flag name
+ * @returns {number|undefined} - Flag value, or undefined when absent
+ */
+function parsePositiveFlag(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return undefined;
+  }
+  
+  const value = parseInt(args[index + 1]);
+  if (isNaN(value) || value < 1) {
+    console.error(`${flag} must be a positive number`);
+    process.exit(1);
+  }
+  return value;
 }
 
 // Execute the indexer if this script is run directly
@@ -422,22 +500,35 @@ if (require.main === module) {
   // Check if "--continuous" flag is provided
   const args = process.argv.slice(2);
   const isContinuous = args.includes('--continuous');
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : DEFAULT_MARKET;
   
   if (isContinuous) {
+    // Optional sampling cadence (--every N) and parallelism (--concurrency N)
+    const sampleEvery = parsePositiveFlag(args, '--every');
+    const concurrency = parsePositiveFlag(args, '--concurrency');
+    
+    // --events indexes only blocks with Pool events (all reserves of each)
+    const eventDriven = args.includes('--events');
+    
+    // --serve runs the API with a live snapshot stream and /metrics (--port N)
+    const serve = args.includes('--serve');
+    const port = parsePositiveFlag(args, '--port');
+    
     // Start continuous indexing mode
-    startContinuousIndexing()
+    startContinuousIndexing({ market: marketName, eventDriven, sampleEvery, concurrency, serve, port })
       .catch(err => {
         console.error('Continuous indexing failed to start:', err);
         process.exit(1);
       });
   } else {
     // Run indexer once (default behavior)
-    indexBaseAaveMetrics(null, false)
+    indexBaseAaveMetrics(null, false, { market: marketName })
       .then(() => {
-        console.log('Base AAVE indexing completed successfully');
+        console.log(`${marketName} AAVE indexing completed successfully`);
       })
       .catch(err => {
-        console.error('Base AAVE indexing failed:', err);
+        console.error(`${marketName} AAVE indexing failed:`, err);
         process.exit(1);
       });
   }
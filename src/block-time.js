@@ -0,0 +1,179 @@
+/**
+ * Helpers for mapping wall-clock time to block numbers
+ */
+
+// Seconds per unit of relative time expressions ("7d ago", "12 hours ago")
+const TIME_UNITS = {
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400,
+  w: 604800, week: 604800, weeks: 604800
+};
+
+const BLOCK_NUMBER_PATTERN = /^\d+$/;
+const RELATIVE_TIME_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-z]+)\s+ago$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/**
+ * Find the first block whose timestamp is at or after the given time
+ * Binary searches block timestamps between `low` and `high`.
+ * @param {Object} provider - ethers provider
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {Object} [range] - Search bounds
+ * @param {number} [range.low] - Lowest block to consider (default 0)
+ * @param {number} [range.high] - Highest block to consider (default latest)
+ * @returns {Promise<number|null>} - Block number, or null if `high` is still older
+ */
+async function findFirstBlockAtOrAfter(provider, timestamp, { low = 0, high } = {}) {
+  if (high === undefined) {
+    high = await provider.getBlockNumber();
+  }
+  
+  const highBlock = await provider.getBlock(high);
+  if (highBlock.timestamp < timestamp) {
+    return null;
+  }
+  
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    
+    if (block.timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return low;
+}
+
+/**
+ * Parse a time expression into a Unix timestamp
+ * Accepts ISO 8601 dates ("2025-04-01", "2025-04-01T00:00Z"; times without a
+ * zone are read as UTC), "now" and relative expressions such as "7d ago" or
+ * "12 hours ago".
+ * @param {string} expression - Time expression
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} - Unix timestamp in seconds
+ */
+function parseTimeExpression(expression, now = Date.now()) {
+  const value = String(expression).trim();
+
+  if (value.toLowerCase() === 'now') {
+    return Math.floor(now / 1000);
+  }
+
+  const relative = value.match(RELATIVE_TIME_PATTERN);
+  if (relative && TIME_UNITS[relative[2].toLowerCase()]) {
+    return Math.floor(now / 1000 - parseFloat(relative[1]) * TIME_UNITS[relative[2].toLowerCase()]);
+  }
+
+  const iso = value.match(ISO_DATE_PATTERN);
+  if (iso && isCalendarDate(value.slice(0, 10))) {
+    // Date-only strings are already UTC; date-times without a zone would be local
+    const milliseconds = Date.parse(value.includes('T') && !iso[1] ? `${value}Z` : value);
+    if (!isNaN(milliseconds)) {
+      return Math.floor(milliseconds / 1000);
+    }
+  }
+
+  throw new Error(`Invalid time "${expression}"; use an ISO date (2025-04-01T00:00Z), "now" or e.g. "7d ago"`);
+}
+
+// Date.parse rolls impossible dates over (2025-02-30 becomes 2025-03-02)
+function isCalendarDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+}
+
+/**
+ * Check whether a command line value is a block number or a time expression
+ * @param {string} value - Command line value
+ * @returns {boolean} - True when resolveBlockArgument accepts it
+ */
+function isBlockArgument(value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (BLOCK_NUMBER_PATTERN.test(String(value).trim())) {
+    return true;
+  }
+  try {
+    parseTimeExpression(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a block number or time expression to a block number
+ * Block numbers are returned as is. Times are resolved to the block whose
+ * timestamp is nearest, by binary search over block timestamps; the chosen
+ * block and its timestamp are logged. Times after the latest block resolve
+ * to the latest block.
+ * @param {Object} provider - ethers provider
+ * @param {number|string} value - Block number or parseTimeExpression expression
+ * @returns {Promise<number>} - Block number
+ */
+async function resolveBlockArgument(provider, value) {
+  if (typeof value === 'number' || BLOCK_NUMBER_PATTERN.test(String(value).trim())) {
+    return parseInt(value);
+  }
+
+  const timestamp = parseTimeExpression(value);
+  const latest = await provider.getBlock('latest');
+  let block = latest;
+
+  if (timestamp < latest.timestamp) {
+    const blockNumber = await findFirstBlockAtOrAfter(provider, timestamp, { high: latest.number });
+    block = await provider.getBlock(blockNumber);
+
+    // The block just before the time may be closer than the first one after it
+    if (blockNumber > 0) {
+      const previous = await provider.getBlock(blockNumber - 1);
+      if (timestamp - previous.timestamp < block.timestamp - timestamp) {
+        block = previous;
+      }
+    }
+  }
+
+  console.log(`✓ Resolved "${value}" to block ${block.number} (${new Date(block.timestamp * 1000).toISOString()})`);
+  return block.number;
+}
+
+/**
+ * Print the command that resumes a checkpointed range job
+ * Range jobs are checkpointed per resolved block range, and relative times
+ * resolve to a different range on every run, so a run started with times
+ * can only be resumed with the blocks they resolved to. Nothing is printed
+ * when every range argument already is a block number.
+ * @param {string} script - Script path, e.g. `src/base-backfill.js`
+ * @param {string[]} args - Command line arguments as given
+ * @param {Object} resolvedBlocks - Argument index → block number it resolved to
+ */
+function printResumeCommand(script, args, resolvedBlocks) {
+  const indexes = Object.keys(resolvedBlocks).map(Number);
+  if (indexes.every(index => BLOCK_NUMBER_PATTERN.test(String(args[index]).trim()))) {
+    return;
+  }
+
+  const command = args.map((arg, index) => {
+    if (indexes.includes(index)) {
+      return String(resolvedBlocks[index]);
+    }
+    return /\s/.test(arg) ? `"${arg}"` : arg;
+  });
+  console.log(`To resume this run, use: node ${script} ${command.join(' ')}`);
+}
+
+module.exports = {
+  findFirstBlockAtOrAfter,
+  parseTimeExpression,
+  isBlockArgument,
+  resolveBlockArgument,
+  printResumeCommand
+};
@@ -0,0 +1,135 @@
+const { getTokenMetricsAtBlock, getCapUsageHistory, closePool } = require('./db-storage');
+const { getMarket } = require('./markets');
+
+// Cap usage percentage from which a reserve is flagged
+const CAP_USAGE_ALERT_THRESHOLD = parseFloat(process.env.CAP_USAGE_ALERT_THRESHOLD) || 90;
+
+/**
+ * Print the cap usage of every reserve in the latest stored snapshot
+ * @param {string} marketName - aave-address-book market name
+ * @param {number} threshold - Usage percentage from which a reserve is flagged
+ * @returns {Promise<Object[]>} - Token metric rows of reserves at or above the threshold
+ */
+async function showLatestCapUsage(marketName, threshold = CAP_USAGE_ALERT_THRESHOLD) {
+  const market = getMarket(marketName);
+  const rows = await getTokenMetricsAtBlock(market.chainId, market.name);
+
+  if (rows.length === 0) {
+    console.log(`No ${market.name} snapshot stored yet`);
+    return [];
+  }
+
+  const alerts = rows.filter(row => isAboveThreshold(row, threshold));
+
+  console.log(`\n=== ${market.name} cap usage at block ${rows[0].block_number} (alert at ${threshold}%) ===`);
+  console.table(rows.map(row => ({
+    symbol: row.symbol,
+    supplyCapUsage: formatUsage(row.supply_cap_usage),
+    supplyRemaining: formatRemaining(row.supply_cap_remaining, row.supply_cap_remaining_usd),
+    borrowCapUsage: formatUsage(row.borrow_cap_usage),
+    borrowRemaining: formatRemaining(row.borrow_cap_remaining, row.borrow_cap_remaining_usd),
+    alert: isAboveThreshold(row, threshold) ? '⚠' : ''
+  })));
+  console.log(`${alerts.length} reserves at or above ${threshold}% of a cap`);
+
+  return alerts;
+}
+
+/**
+ * Print the cap usage history of a reserve
+ * @param {string} marketName - aave-address-book market name
+ * @param {string} symbol - Reserve symbol
+ * @param {number} limit - Number of blocks to show
+ * @returns {Promise<Object[]>} - Cap usage rows, newest first
+ */
+async function showCapUsageHistory(marketName, symbol, limit) {
+  const market = getMarket(marketName);
+  const rows = await getCapUsageHistory(market.chainId, market.name, symbol, limit);
+
+  console.log(`\n=== ${rows.length > 0 ? rows[0].symbol : symbol} cap usage on ${market.name} (${rows.length} blocks) ===`);
+  console.table(rows.map(row => ({
+    block: parseInt(row.block_number),
+    date: new Date(parseInt(row.timestamp) * 1000).toISOString(),
+    supplyCapUsage: formatUsage(row.supply_cap_usage),
+    supplyRemaining: formatRemaining(row.supply_cap_remaining, row.supply_cap_remaining_usd),
+    borrowCapUsage: formatUsage(row.borrow_cap_usage),
+    borrowRemaining: formatRemaining(row.borrow_cap_remaining, row.borrow_cap_remaining_usd)
+  })));
+
+  return rows;
+}
+
+// Helper functions
+function isAboveThreshold(row, threshold) {
+  return [row.supply_cap_usage, row.borrow_cap_usage]
+    .some(usage => usage !== null && parseFloat(usage) >= threshold);
+}
+
+function formatUsage(usage) {
+  // Snapshots stored before cap usage was captured, or uncapped reserves
+  return usage === null ? 'no cap' : `${parseFloat(usage).toFixed(2)}%`;
+}
+
+function formatRemaining(remaining, remainingUSD) {
+  if (remaining === null) {
+    return '-';
+  }
+  return `${Number(remaining).toLocaleString()} (${formatUSD(remainingUSD)})`;
+}
+
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+// Execute the cap usage command if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'latest';
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+  const thresholdIndex = args.indexOf('--threshold');
+  const threshold = thresholdIndex !== -1 ? parseFloat(args[thresholdIndex + 1]) : CAP_USAGE_ALERT_THRESHOLD;
+
+  (async () => {
+    try {
+      switch (command) {
+        case 'latest':
+          if (isNaN(threshold)) {
+            throw new Error('--threshold must be a percentage');
+          }
+          await showLatestCapUsage(marketName, threshold);
+          break;
+
+        case 'history':
+          if (!args[1] || args[1].startsWith('--')) {
+            throw new Error('history requires a reserve symbol');
+          }
+          await showCapUsageHistory(marketName, args[1], parseInt(args[2]) || 20);
+          break;
+
+        default:
+          console.log('Usage:');
+          console.log('  node src/cap-usage.js latest [--threshold pct] [--market name]   - Cap usage of the latest snapshot');
+          console.log('  node src/cap-usage.js history <symbol> [limit] [--market name]  - Cap usage history of a reserve');
+          console.log(`\nThe alert threshold defaults to CAP_USAGE_ALERT_THRESHOLD (${CAP_USAGE_ALERT_THRESHOLD}%)`);
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Cap usage command failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  CAP_USAGE_ALERT_THRESHOLD,
+  showLatestCapUsage,
+  showCapUsageHistory
+};
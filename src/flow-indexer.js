@@ -0,0 +1,241 @@
+const { normalize, valueToBigNumber } = require('@aave/math-utils');
+const {
+  initializeDatabase,
+  storeReserveFlows,
+  getReserveNetFlows,
+  closePool
+} = require('./db-storage');
+const { processPoolEventBlocks } = require('./pool-events');
+const { fetchReservePrices, toUSDString } = require('./reserve-metrics');
+const { getMarket, createProvider } = require('./markets');
+const { isBlockArgument, resolveBlockArgument, printResumeCommand } = require('./block-time');
+
+// Pool events that move liquidity in or out of a reserve
+const FLOW_EVENTS = ['Supply', 'Withdraw', 'Borrow', 'Repay'];
+
+/**
+ * Turn a decoded Pool event into a flow valued at the block's prices
+ * @param {Object} event - Event returned by getPoolEvents
+ * @param {Map} prices - Reserve prices returned by fetchReservePrices
+ * @param {number} timestamp - Block timestamp
+ * @returns {Object} - Flow with exact decimal `amount` and `amountUSD`
+ */
+function buildFlow(event, prices, timestamp) {
+  const reserveAddress = event.args.reserve.toLowerCase();
+  const price = prices.get(reserveAddress);
+  if (!price) {
+    throw new Error(`No price for reserve ${reserveAddress} in block ${event.blockNumber}`);
+  }
+
+  const amount = valueToBigNumber(normalize(event.args.amount.toString(), price.decimals));
+
+  return {
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    timestamp,
+    eventType: event.name,
+    reserveAddress,
+    symbol: price.symbol,
+    // Supply and Borrow can be made on behalf of another account; the flow
+    // belongs to the account whose position changes
+    userAddress: (event.name === 'Supply' || event.name === 'Borrow' ? event.args.onBehalfOf : event.args.user).toLowerCase(),
+    amount: amount.toFixed(),
+    amountUSD: toUSDString(amount.times(price.priceInUSD)),
+    useATokens: event.name === 'Repay' ? event.args.useATokens : null
+  };
+}
+
+/**
+ * Sum the flows of one block per reserve
+ * Repaying with aTokens burns supply as well as debt, so it also counts
+ * against the net supply.
+ * @param {Array} flows - Flows of a single block
+ * @returns {Array} - Per-reserve net flows
+ */
+function aggregateNetFlows(flows) {
+  const byReserve = new Map();
+
+  for (const flow of flows) {
+    if (!byReserve.has(flow.reserveAddress)) {
+      byReserve.set(flow.reserveAddress, {
+        reserveAddress: flow.reserveAddress,
+        symbol: flow.symbol,
+        timestamp: flow.timestamp,
+        eventCount: 0,
+        supplied: valueToBigNumber(0),
+        withdrawn: valueToBigNumber(0),
+        borrowed: valueToBigNumber(0),
+        repaid: valueToBigNumber(0),
+        repaidWithATokens: valueToBigNumber(0),
+        suppliedUSD: valueToBigNumber(0),
+        withdrawnUSD: valueToBigNumber(0),
+        borrowedUSD: valueToBigNumber(0),
+        repaidUSD: valueToBigNumber(0),
+        repaidWithATokensUSD: valueToBigNumber(0)
+      });
+    }
+
+    const totals = byReserve.get(flow.reserveAddress);
+    const key = { Supply: 'supplied', Withdraw: 'withdrawn', Borrow: 'borrowed', Repay: 'repaid' }[flow.eventType];
+
+    totals.eventCount++;
+    totals[key] = totals[key].plus(flow.amount);
+    totals[`${key}USD`] = totals[`${key}USD`].plus(flow.amountUSD);
+
+    if (flow.useATokens) {
+      totals.repaidWithATokens = totals.repaidWithATokens.plus(flow.amount);
+      totals.repaidWithATokensUSD = totals.repaidWithATokensUSD.plus(flow.amountUSD);
+    }
+  }
+
+  return [...byReserve.values()].map(totals => ({
+    reserveAddress: totals.reserveAddress,
+    symbol: totals.symbol,
+    timestamp: totals.timestamp,
+    eventCount: totals.eventCount,
+    suppliedUSD: totals.suppliedUSD.toFixed(),
+    withdrawnUSD: totals.withdrawnUSD.toFixed(),
+    borrowedUSD: totals.borrowedUSD.toFixed(),
+    repaidUSD: totals.repaidUSD.toFixed(),
+    netSupply: totals.supplied.minus(totals.withdrawn).minus(totals.repaidWithATokens).toFixed(),
+    netSupplyUSD: totals.suppliedUSD.minus(totals.withdrawnUSD).minus(totals.repaidWithATokensUSD).toFixed(),
+    netBorrow: totals.borrowed.minus(totals.repaid).toFixed(),
+    netBorrowUSD: totals.borrowedUSD.minus(totals.repaidUSD).toFixed()
+  }));
+}
+
+/**
+ * Index the supply, withdraw, borrow and repay flows of a market over a block range
+ * Flows are valued with the reserve prices of the block they happened in.
+ * Progress is checkpointed, so re-running the same range resumes it.
+ * @param {string} marketName - aave-address-book market name
+ * @param {number} startBlock - First block of the range
+ * @param {number} endBlock - Last block of the range
+ * @returns {Promise<Object>} - Counts of indexed blocks and flows
+ */
+async function indexReserveFlows(marketName, startBlock, endBlock) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
+  const jobName = `flows:${market.name}:${startBlock}-${endBlock}`;
+
+  console.log(`Indexing ${market.name} Pool flows from block ${startBlock} to ${endBlock}...`);
+
+  await initializeDatabase();
+
+  const counts = { blocks: 0, flows: 0 };
+
+  await processPoolEventBlocks({
+    jobName,
+    provider,
+    poolAddress: market.addresses.POOL,
+    startBlock,
+    endBlock,
+    eventNames: FLOW_EVENTS,
+    processBlock: async (blockNumber, events) => {
+      const [block, prices] = await Promise.all([
+        provider.getBlock(blockNumber),
+        fetchReservePrices(provider, market.addresses, market.chainId, blockNumber)
+      ]);
+
+      const flows = events.map(event => buildFlow(event, prices, block.timestamp));
+      await storeReserveFlows({
+        chainId: market.chainId,
+        market: market.name,
+        blockNumber,
+        flows,
+        netFlows: aggregateNetFlows(flows)
+      });
+
+      counts.blocks++;
+      counts.flows += flows.length;
+      console.log(`✓ Block ${blockNumber}: ${flows.length} flows`);
+    }
+  });
+
+  console.log(`\nFlow indexing completed: ${counts.flows} flows in ${counts.blocks} blocks`);
+  return counts;
+}
+
+/**
+ * Print stored per-block net flows next to the reserve snapshot of the block
+ * @param {string} marketName - aave-address-book market name
+ * @param {number} startBlock - First block of the range
+ * @param {number} endBlock - Last block of the range
+ * @returns {Promise<Object[]>} - Net flow rows
+ */
+async function printNetFlows(marketName, startBlock, endBlock) {
+  const market = getMarket(marketName);
+  const rows = await getReserveNetFlows(market.chainId, market.name, startBlock, endBlock);
+
+  console.log(`\n=== ${market.name} net flows, blocks ${startBlock}-${endBlock} (${rows.length} rows) ===`);
+  console.table(rows.map(row => ({
+    block: parseInt(row.block_number),
+    symbol: row.symbol,
+    events: row.event_count,
+    netSupplyUSD: formatUSD(row.net_supply_usd),
+    netBorrowUSD: formatUSD(row.net_borrow_usd),
+    utilization: row.utilization_rate !== null ? `${parseFloat(row.utilization_rate).toFixed(2)}%` : 'no snapshot'
+  })));
+
+  return rows;
+}
+
+// Helper functions
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+// Execute the flow indexer if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+
+  if (!['index', 'net'].includes(command) || !isBlockArgument(args[1]) || !isBlockArgument(args[2])) {
+    console.log('Usage:');
+    console.log('  node src/flow-indexer.js index <startBlock> <endBlock> [--market name] - Index Pool flows');
+    console.log('  node src/flow-indexer.js net <startBlock> <endBlock> [--market name]   - Show per-block net flows');
+    console.log('    The market defaults to AaveV3Base; blocks can also be ISO dates or relative times');
+    console.log('\nExamples:');
+    console.log('  node src/flow-indexer.js index 28489000 28489917');
+    console.log('  node src/flow-indexer.js net "2h ago" now');
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const provider = createProvider(getMarket(marketName).chainId);
+      const startBlock = await resolveBlockArgument(provider, args[1]);
+      const endBlock = await resolveBlockArgument(provider, args[2]);
+      if (endBlock < startBlock) {
+        throw new Error(`End block ${endBlock} is before start block ${startBlock}`);
+      }
+
+      if (command === 'index') {
+        printResumeCommand('src/flow-indexer.js', args, { 1: startBlock, 2: endBlock });
+        await indexReserveFlows(marketName, startBlock, endBlock);
+      } else {
+        await printNetFlows(marketName, startBlock, endBlock);
+      }
+    } catch (error) {
+      console.error('Flow indexing failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  indexReserveFlows,
+  printNetFlows,
+  buildFlow,
+  aggregateNetFlows
+};
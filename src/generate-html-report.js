@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { buildRateCurve, calculateRatesAtUtilization, hasRateModel } = require('./rate-model');
 
 // Get the latest Base metrics file
 const dataDir = path.join(__dirname, '..', 'data');
@@ -13,6 +14,12 @@ if (!fs.existsSync(latestFile)) {
 // Read the latest metrics
 const metricsData = JSON.parse(fs.readFileSync(latestFile, 'utf8'));
 
+// Cap usage percentage from which reserves are highlighted (--cap-threshold or CAP_USAGE_ALERT_THRESHOLD)
+const capThresholdIndex = process.argv.indexOf('--cap-threshold');
+const capUsageThreshold = parseFloat(capThresholdIndex !== -1
+  ? process.argv[capThresholdIndex + 1]
+  : process.env.CAP_USAGE_ALERT_THRESHOLD) || 90;
+
 // Generate HTML report
 function generateHTMLReport(data) {
   const reportDir = path.join(__dirname, '..', 'reports');
@@ -24,17 +31,17 @@ function generateHTMLReport(data) {
   const reportFile = path.join(reportDir, `base-aave-report-${timestamp}.html`);
   const latestReportFile = path.join(reportDir, 'base-aave-report-latest.html');
 
-  // Sort tokens by total supplied (descending)
-  const sortedTokens = [...data.tokenMetrics].sort((a, b) => b.totalSuppliedUSD - a.totalSuppliedUSD);
+  // Sort tokens by total supplied (descending); amounts are exact decimal strings
+  const sortedTokens = [...data.tokenMetrics].sort((a, b) => Number(b.totalSuppliedUSD) - Number(a.totalSuppliedUSD));
   
   // Calculate additional metrics
   const topUtilizationTokens = [...data.tokenMetrics]
-    .filter(token => token.totalSupplied > 0)
+    .filter(token => Number(token.totalSupplied) > 0)
     .sort((a, b) => b.utilizationRate - a.utilizationRate)
     .slice(0, 5);
 
   const topSupplyAPYTokens = [...data.tokenMetrics]
-    .filter(token => token.totalSupplied > 0)
+    .filter(token => Number(token.totalSupplied) > 0)
     .sort((a, b) => b.supplyAPY - a.supplyAPY)
     .slice(0, 5);
 
@@ -43,6 +50,10 @@ function generateHTMLReport(data) {
     .sort((a, b) => b.variableBorrowAPY - a.variableBorrowAPY)
     .slice(0, 5);
 
+  const capAlertTokens = sortedTokens.filter(isNearCap);
+
+  const rateCurveTokens = sortedTokens.filter(token => token.borrowEnabled && hasRateModel(token));
+
   // Create HTML content
   const html = `
 <!DOCTYPE html>
@@ -206,6 +217,50 @@ function generateHTMLReport(data) {
         .pill-red {
             background-color: #d9534f;
         }
+        .pill-orange {
+            background-color: #f0ad4e;
+        }
+        .cap-alert {
+            background-color: #fdf1e1;
+        }
+        .cap-alert-list {
+            background-color: #fdf1e1;
+            border-left: 4px solid #f0ad4e;
+            padding: 10px 15px;
+            margin-bottom: 15px;
+        }
+        .cap-usage {
+            font-size: 12px;
+            color: #666;
+        }
+        .incentives {
+            font-size: 12px;
+            color: #666;
+        }
+        .rate-curves {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(380px, 1fr));
+            gap: 20px;
+        }
+        .rate-curve {
+            background-color: white;
+            border-radius: 5px;
+            padding: 15px;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+        }
+        .rate-curve h3 {
+            color: #2ebac6;
+            margin: 0 0 5px 0;
+        }
+        .rate-curve-params {
+            font-size: 12px;
+            color: #666;
+        }
+        .address {
+            font-family: monospace;
+            font-size: 12px;
+            white-space: nowrap;
+        }
     </style>
 </head>
 <body>
@@ -255,18 +310,22 @@ function generateHTMLReport(data) {
                 <th>Utilization Rate</th>
                 <th>Supply APY</th>
                 <th>Borrow APY</th>
+                <th>Net Supply APY</th>
+                <th>Net Borrow APY</th>
             </tr>
         </thead>
         <tbody>
             ${sortedTokens.map(token => `
                 <tr>
                     <td><strong>${token.token} (${token.symbol})</strong></td>
-                    <td>$${typeof token.priceInUSD === 'number' ? token.priceInUSD.toFixed(6) : 'N/A'}</td>
+                    <td>$${token.priceInUSD != null ? Number(token.priceInUSD).toFixed(6) : 'N/A'}</td>
                     <td>$${formatNumber(token.totalSuppliedUSD)}</td>
                     <td>$${formatNumber(token.totalBorrowedUSD)}</td>
                     <td class="${getUtilizationClass(token.utilizationRate)}">${token.utilizationRate.toFixed(2)}%</td>
                     <td>${token.supplyAPY.toFixed(2)}%</td>
                     <td>${token.variableBorrowAPY.toFixed(2)}%</td>
+                    <td>${formatNetAPY(token.netSupplyAPY, token.supplyIncentives, '+')}</td>
+                    <td>${formatNetAPY(token.netBorrowAPY, token.borrowIncentives, '−')}</td>
                 </tr>
             `).join('')}
         </tbody>
@@ -308,33 +367,76 @@ function generateHTMLReport(data) {
     
     <h2 class="section-title">Detailed Metrics</h2>
     
+    ${capAlertTokens.length > 0 ? `
+    <div class="cap-alert-list">
+        <strong>${capAlertTokens.length} reserve${capAlertTokens.length === 1 ? '' : 's'} at or above ${capUsageThreshold}% of a cap:</strong>
+        ${capAlertTokens.map(token => `${token.symbol} (${[
+          token.supplyCapUsage >= capUsageThreshold && `supply ${token.supplyCapUsage.toFixed(2)}%`,
+          token.borrowCapUsage >= capUsageThreshold && `borrow ${token.borrowCapUsage.toFixed(2)}%`
+        ].filter(Boolean).join(', ')})`).join(', ')}
+    </div>
+    ` : ''}
+    
     <table>
         <thead>
             <tr>
                 <th>Asset</th>
                 <th>Reserves</th>
                 <th>Reserve Factor</th>
+                <th>LTV</th>
                 <th>Liquidation Threshold</th>
+                <th>Liquidation Bonus</th>
                 <th>Supply Cap</th>
                 <th>Borrow Cap</th>
                 <th>Borrow Enabled</th>
+                <th>Status</th>
+                <th>Isolation Mode</th>
+                <th>Siloed Borrowing</th>
+                <th>Flash Loans</th>
+                <th>eMode Categories</th>
+                <th>Contracts</th>
             </tr>
         </thead>
         <tbody>
             ${sortedTokens.map(token => `
-                <tr>
+                <tr${isNearCap(token) ? ' class="cap-alert"' : ''}>
                     <td><strong>${token.token} (${token.symbol})</strong></td>
-                    <td>$${!isNaN(token.reserves) ? formatNumber(token.reserves) : 'N/A'}</td>
+                    <td>$${token.reserves != null ? formatNumber(token.reserves) : 'N/A'}</td>
                     <td>${token.reserveFactor.toFixed(2)}%</td>
-                    <td>${token.liquidationThreshold.toFixed(2)}%</td>
-                    <td>${token.supplyCap === Infinity ? 'Unlimited' : formatNumber(token.supplyCap)}</td>
-                    <td>${token.borrowCap === Infinity ? 'Unlimited' : formatNumber(token.borrowCap)}</td>
+                    <td>${formatRatio(token.loanToValue)}</td>
+                    <td>${formatRatio(token.liquidationThreshold)}</td>
+                    <td>${formatRatio(token.liquidationBonus)}</td>
+                    <td>${formatCap(token.supplyCap, token.supplyCapUsage, token.supplyCapRemainingUSD)}</td>
+                    <td>${formatCap(token.borrowCap, token.borrowCapUsage, token.borrowCapRemainingUSD)}</td>
                     <td>${token.borrowEnabled ? '<span class="pill pill-green">Yes</span>' : '<span class="pill pill-red">No</span>'}</td>
+                    <td>${formatReserveStatus(token)}</td>
+                    <td>${token.isIsolated ? `$${formatNumber(token.isolationModeTotalDebtUSD)} / $${formatNumber(token.debtCeilingUSD)}` : formatFlag(token.isIsolated)}</td>
+                    <td>${formatFlag(token.isSiloedBorrowing)}</td>
+                    <td>${formatFlag(token.flashLoanEnabled)}</td>
+                    <td>${token.eModeCategories ? token.eModeCategories.map(formatEModeCategory).join('<br>') || 'None' : 'N/A'}</td>
+                    <td>${formatContracts(token)}</td>
                 </tr>
             `).join('')}
         </tbody>
     </table>
     
+    ${rateCurveTokens.length > 0 ? `
+    <h2 class="section-title">Interest Rate Models</h2>
+    
+    <div class="rate-curves">
+        ${rateCurveTokens.map(token => `
+        <div class="rate-curve">
+            <h3>${token.symbol}</h3>
+            <div class="rate-curve-params">
+                Optimal ${formatRatio(token.optimalUsageRatio)} · Base ${formatRatio(token.baseVariableBorrowRate)} ·
+                Slope 1 ${formatRatio(token.variableRateSlope1)} · Slope 2 ${formatRatio(token.variableRateSlope2)}
+            </div>
+            ${renderRateCurve(token)}
+        </div>
+        `).join('')}
+    </div>
+    ` : ''}
+    
     <div class="footer">
         <p>Generated by AAVE Metrics Indexer | Data from AAVE Base Market</p>
     </div>
@@ -350,13 +452,115 @@ function generateHTMLReport(data) {
   console.log(`Latest report available at ${latestReportFile}`);
 }
 
-// Helper function to format numbers with commas
+// Helper function to format numbers (or exact decimal strings) with commas
 function formatNumber(num) {
-  if (isNaN(num) || num === undefined) return 'N/A';
+  if (num === null || num === undefined || isNaN(num)) return 'N/A';
   return new Intl.NumberFormat('en-US', {
     maximumFractionDigits: 2,
     minimumFractionDigits: 2
-  }).format(num);
+  }).format(Number(num));
+}
+
+// Helper function to draw a reserve's borrow and supply APY curves as an
+// inline SVG, marking the optimal and the current utilization
+function renderRateCurve(token) {
+  const width = 360;
+  const height = 200;
+  const margin = { top: 10, right: 10, bottom: 30, left: 45 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const curve = buildRateCurve(token);
+  const current = calculateRatesAtUtilization(token, token.utilizationRate);
+  // Round the axis up to a multiple of 5% so tick labels stay readable
+  const maxAPY = Math.max(5, Math.ceil(Math.max(...curve.map(point => point.variableBorrowAPY)) / 5) * 5);
+
+  const x = utilization => margin.left + utilization / 100 * plotWidth;
+  const y = apy => margin.top + plotHeight - Math.min(apy, maxAPY) / maxAPY * plotHeight;
+  const line = field => curve.map(point => `${x(point.utilization).toFixed(1)},${y(point[field]).toFixed(1)}`).join(' ');
+  const optimalX = x(token.optimalUsageRatio * 100).toFixed(1);
+  const currentX = x(current.utilization).toFixed(1);
+
+  return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${token.symbol} interest rate curve">
+                <line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#999"/>
+                <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotHeight}" stroke="#999"/>
+                ${[0, maxAPY / 2, maxAPY].map(apy => `
+                <text x="${margin.left - 5}" y="${y(apy) + 4}" font-size="10" text-anchor="end" fill="#666">${apy}%</text>`).join('')}
+                ${[0, 50, 100].map(utilization => `
+                <text x="${x(utilization)}" y="${height - 15}" font-size="10" text-anchor="middle" fill="#666">${utilization}%</text>`).join('')}
+                <text x="${margin.left + plotWidth / 2}" y="${height - 3}" font-size="10" text-anchor="middle" fill="#666">Utilization</text>
+                <line x1="${optimalX}" y1="${margin.top}" x2="${optimalX}" y2="${margin.top + plotHeight}" stroke="#bbb" stroke-dasharray="2,3"/>
+                <polyline points="${line('variableBorrowAPY')}" fill="none" stroke="#d9534f" stroke-width="2"/>
+                <polyline points="${line('supplyAPY')}" fill="none" stroke="#2ebac6" stroke-width="2"/>
+                <line x1="${currentX}" y1="${margin.top}" x2="${currentX}" y2="${margin.top + plotHeight}" stroke="#333" stroke-dasharray="4,3"/>
+                <circle cx="${currentX}" cy="${y(current.variableBorrowAPY).toFixed(1)}" r="4" fill="#d9534f"/>
+                <circle cx="${currentX}" cy="${y(current.supplyAPY).toFixed(1)}" r="4" fill="#2ebac6"/>
+                <text x="${margin.left + 5}" y="${margin.top + 12}" font-size="10" fill="#d9534f">Borrow APY ${current.variableBorrowAPY.toFixed(2)}%</text>
+                <text x="${margin.left + 5}" y="${margin.top + 24}" font-size="10" fill="#2ebac6">Supply APY ${current.supplyAPY.toFixed(2)}%</text>
+                <text x="${margin.left + 5}" y="${margin.top + 36}" font-size="10" fill="#333">Utilization ${current.utilization.toFixed(2)}%</text>
+            </svg>`;
+}
+
+// Helper function to tell whether a reserve's supply or borrow cap is nearly full
+function isNearCap(token) {
+  return [token.supplyCapUsage, token.borrowCapUsage]
+    .some(usage => usage !== null && usage !== undefined && usage >= capUsageThreshold);
+}
+
+// Helper function to show a cap with its usage and remaining capacity;
+// a cap of 0 means the reserve is uncapped
+function formatCap(cap, usage, remainingUSD) {
+  if (Number(cap) === 0) return 'Unlimited';
+  if (usage === null || usage === undefined) return formatNumber(cap);
+  return `${formatNumber(cap)}<br><span class="cap-usage">${usage.toFixed(2)}% used, $${formatNumber(remainingUSD)} left</span>`;
+}
+
+// Helper function to format a net APY with its per reward token incentive
+// APRs; snapshots taken before incentives were captured show N/A
+function formatNetAPY(netAPY, incentives, sign) {
+  if (netAPY === null || netAPY === undefined) return 'N/A';
+  const rewards = incentives
+    .filter(incentive => incentive.incentiveAPR > 0)
+    .map(incentive => `${sign}${incentive.incentiveAPR.toFixed(2)}% ${incentive.rewardTokenSymbol}`);
+  return `${netAPY.toFixed(2)}%${rewards.length > 0 ? `<br><span class="incentives">${rewards.join('<br>')}</span>` : ''}`;
+}
+
+// Helper function to format a ratio such as 0.83 as a percentage
+function formatRatio(value) {
+  if (value === null || value === undefined) return 'N/A';
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+// Helper function to format a configuration flag; snapshots taken before
+// the flag was captured show N/A
+function formatFlag(value) {
+  if (value === null || value === undefined) return 'N/A';
+  return value ? 'Yes' : 'No';
+}
+
+// Helper function to show whether a reserve is paused, frozen or active
+function formatReserveStatus(token) {
+  if (token.isPaused === undefined) return 'N/A';
+  if (token.isPaused) return '<span class="pill pill-red">Paused</span>';
+  if (token.isFrozen) return '<span class="pill pill-orange">Frozen</span>';
+  return '<span class="pill pill-green">Active</span>';
+}
+
+// Helper function to describe an eMode category a reserve belongs to
+function formatEModeCategory(category) {
+  const roles = [category.collateralEnabled && 'collateral', category.borrowingEnabled && 'borrowable'].filter(Boolean);
+  return `${category.id} ${category.label} (${roles.join(', ')}): LTV ${formatRatio(category.loanToValue)}, LT ${formatRatio(category.liquidationThreshold)}`;
+}
+
+// Helper function to list the aToken, debt token and rate strategy addresses
+function formatContracts(token) {
+  if (!token.aTokenAddress) return 'N/A';
+  return [
+    ['aToken', token.aTokenAddress],
+    ['Debt', token.variableDebtTokenAddress],
+    ['IRM', token.interestRateStrategyAddress]
+  ].map(([label, address]) => `<span class="address" title="${address}">${label} ${address.slice(0, 6)}…${address.slice(-4)}</span>`).join('<br>');
 }
 
 // Helper function to determine utilization class
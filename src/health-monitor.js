@@ -0,0 +1,440 @@
+const { ethers } = require('ethers');
+const { valueToBigNumber } = require('@aave/math-utils');
+const {
+  initializeDatabase,
+  getCheckpoint,
+  storeBorrowers,
+  getBorrowers,
+  storeHealthScan,
+  getLatestHealthScan,
+  closePool
+} = require('./db-storage');
+const { processPoolEventBlocks } = require('./pool-events');
+const { fetchMarketReserves, getPriceDecimals, toUSDString } = require('./reserve-metrics');
+const { getMarket, createProvider } = require('./markets');
+const { createWorkLoop } = require('./job-scheduler');
+const { isBlockArgument, resolveBlockArgument } = require('./block-time');
+
+// Multicall3 is deployed at the same address on every supported chain
+const MULTICALL3_ADDRESS = process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Accounts read per Multicall3 request
+const HEALTH_SCAN_BATCH_SIZE = parseInt(process.env.HEALTH_SCAN_BATCH_SIZE) || 250;
+
+// Pause between two scans of the monitor (default 10 minutes)
+const HEALTH_SCAN_INTERVAL = parseInt(process.env.HEALTH_SCAN_INTERVAL_MS) || 600000;
+
+// Health factor buckets, lower bound inclusive; below 1 is liquidatable
+const HEALTH_FACTOR_BUCKETS = [
+  { bucket: '< 1.00', min: 0 },
+  { bucket: '1.00 - 1.05', min: 1 },
+  { bucket: '1.05 - 1.10', min: 1.05 },
+  { bucket: '1.10 - 1.25', min: 1.1 },
+  { bucket: '1.25 - 1.50', min: 1.25 },
+  { bucket: '1.50 - 2.00', min: 1.5 },
+  { bucket: '2.00 - 5.00', min: 2 },
+  { bucket: '>= 5.00', min: 5 }
+];
+
+const multicallInterface = new ethers.utils.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+const poolInterface = new ethers.utils.Interface([
+  'function getUserAccountData(address user) view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)'
+]);
+
+/**
+ * Discover borrowers of a market from its Borrow events
+ * The job is checkpointed per market, so later runs only scan new blocks;
+ * the first run needs the block to start from (e.g. the Pool deployment).
+ * @param {string} marketName - aave-address-book market name
+ * @param {number|null} fromBlock - First block of the first run, ignored once checkpointed
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<number>} - Number of Borrow events seen
+ */
+async function discoverBorrowers(marketName, fromBlock, toBlock) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
+  const jobName = `borrowers:${market.name}`;
+
+  if (fromBlock === null && await getCheckpoint(jobName) === null) {
+    throw new Error(`No ${jobName} checkpoint yet; pass the block to start discovery from`);
+  }
+
+  console.log(`Discovering ${market.name} borrowers up to block ${toBlock}...`);
+
+  let borrowCount = 0;
+
+  await processPoolEventBlocks({
+    jobName,
+    provider,
+    poolAddress: market.addresses.POOL,
+    startBlock: fromBlock,
+    endBlock: toBlock,
+    eventNames: ['Borrow'],
+    processBlock: async (blockNumber, events) => {
+      // The debt is minted to onBehalfOf, which may differ from the caller
+      const borrowers = new Map(events.map(event => [event.args.onBehalfOf.toLowerCase(), blockNumber]));
+      await storeBorrowers(market.chainId, market.name, borrowers);
+      borrowCount += events.length;
+    }
+  });
+
+  const borrowers = await getBorrowers(market.chainId, market.name);
+  console.log(`✓ ${borrowCount} new Borrow events, ${borrowers.length} known borrowers`);
+  return borrowCount;
+}
+
+/**
+ * Read Pool.getUserAccountData for many accounts at a block
+ * Accounts are batched HEALTH_SCAN_BATCH_SIZE at a time through Multicall3.
+ * @param {Object} provider - ethers provider
+ * @param {string} poolAddress - Pool contract address
+ * @param {string[]} users - Account addresses
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<Array>} - `{ user, totalCollateralBase, totalDebtBase, healthFactor }`
+ *   with ethers BigNumbers, in the order of `users`
+ */
+async function fetchAccountData(provider, poolAddress, users, blockNumber) {
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, multicallInterface, provider);
+  const accounts = [];
+
+  for (let i = 0; i < users.length; i += HEALTH_SCAN_BATCH_SIZE) {
+    const batch = users.slice(i, i + HEALTH_SCAN_BATCH_SIZE);
+    const results = await multicall.callStatic.aggregate3(
+      batch.map(user => ({
+        target: poolAddress,
+        allowFailure: false,
+        callData: poolInterface.encodeFunctionData('getUserAccountData', [user])
+      })),
+      { blockTag: blockNumber }
+    );
+
+    results.forEach((result, index) => {
+      const data = poolInterface.decodeFunctionResult('getUserAccountData', result.returnData);
+      accounts.push({
+        user: batch[index],
+        totalCollateralBase: data.totalCollateralBase,
+        totalDebtBase: data.totalDebtBase,
+        healthFactor: data.healthFactor
+      });
+    });
+  }
+
+  return accounts;
+}
+
+/**
+ * Bucket the debt of accounts by health factor and list the accounts in bad debt
+ * Accounts without debt are left out. An account is in bad debt when its
+ * debt is worth more than its collateral, whatever its health factor.
+ * @param {Array} accounts - Accounts returned by fetchAccountData
+ * @param {Object} baseCurrencyData - `baseCurrencyData` of getReservesHumanized,
+ *   whose reference currency is the Pool's base currency
+ * @returns {Object} - `{ buckets, badDebtAccounts, borrowerCount, totalDebtUSD }`
+ *   with USD values as exact decimal strings
+ */
+function buildHealthDistribution(accounts, baseCurrencyData) {
+  const toUSD = value => valueToBigNumber(value.toString())
+    .times(baseCurrencyData.marketReferenceCurrencyPriceInUsd)
+    .shiftedBy(-getPriceDecimals(baseCurrencyData));
+
+  const buckets = HEALTH_FACTOR_BUCKETS.map((bucket, order) => ({
+    bucket: bucket.bucket,
+    order,
+    accountCount: 0,
+    debtUSD: valueToBigNumber(0),
+    collateralUSD: valueToBigNumber(0)
+  }));
+  const badDebtAccounts = [];
+  let totalDebtUSD = valueToBigNumber(0);
+  let borrowerCount = 0;
+
+  for (const account of accounts) {
+    if (account.totalDebtBase.isZero()) {
+      continue;
+    }
+
+    const debtUSD = toUSD(account.totalDebtBase);
+    const collateralUSD = toUSD(account.totalCollateralBase);
+    const healthFactor = valueToBigNumber(account.healthFactor.toString()).shiftedBy(-18);
+
+    let index = HEALTH_FACTOR_BUCKETS.length - 1;
+    while (healthFactor.lt(HEALTH_FACTOR_BUCKETS[index].min)) {
+      index--;
+    }
+
+    const bucket = buckets[index];
+    bucket.accountCount++;
+    bucket.debtUSD = bucket.debtUSD.plus(debtUSD);
+    bucket.collateralUSD = bucket.collateralUSD.plus(collateralUSD);
+
+    if (account.totalDebtBase.gt(account.totalCollateralBase)) {
+      badDebtAccounts.push({
+        user: account.user,
+        collateralUSD: toUSDString(collateralUSD),
+        debtUSD: toUSDString(debtUSD),
+        shortfallUSD: toUSDString(debtUSD.minus(collateralUSD))
+      });
+    }
+
+    totalDebtUSD = totalDebtUSD.plus(debtUSD);
+    borrowerCount++;
+  }
+
+  return {
+    buckets: buckets.map(bucket => ({
+      ...bucket,
+      debtUSD: toUSDString(bucket.debtUSD),
+      collateralUSD: toUSDString(bucket.collateralUSD)
+    })),
+    badDebtAccounts,
+    borrowerCount,
+    totalDebtUSD: toUSDString(totalDebtUSD)
+  };
+}
+
+/**
+ * Scan the health of every known borrower of a market at a block
+ * @param {string} marketName - aave-address-book market name
+ * @param {number|null} blockNumber - Block to scan, or null for the latest
+ * @param {boolean} storeInDb - Store the histogram and bad debt list
+ * @returns {Promise<Object>} - The scan, as returned by buildHealthDistribution
+ *   plus `{ chainId, market, blockNumber, timestamp }`
+ */
+async function scanBorrowerHealth(marketName, blockNumber = null, storeInDb = true) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
+
+  const scanBlock = blockNumber || await provider.getBlockNumber();
+  const borrowers = await getBorrowers(market.chainId, market.name);
+  if (borrowers.length === 0) {
+    throw new Error(`No known ${market.name} borrowers; run discovery first`);
+  }
+
+  console.log(`Scanning ${borrowers.length} ${market.name} borrowers at block ${scanBlock}...`);
+
+  const [block, { reserves }, accounts] = await Promise.all([
+    provider.getBlock(scanBlock),
+    fetchMarketReserves(provider, market.addresses, market.chainId, scanBlock),
+    fetchAccountData(provider, market.addresses.POOL, borrowers, scanBlock)
+  ]);
+
+  const scan = {
+    chainId: market.chainId,
+    market: market.name,
+    blockNumber: scanBlock,
+    timestamp: block.timestamp,
+    ...buildHealthDistribution(accounts, reserves.baseCurrencyData)
+  };
+
+  printHealthScan(scan);
+
+  if (storeInDb) {
+    await storeHealthScan(scan);
+    console.log(`✓ Health scan of block ${scanBlock} stored`);
+  }
+
+  return scan;
+}
+
+/**
+ * Keep discovering borrowers and scanning their health at the chain head
+ * @param {string} marketName - aave-address-book market name
+ * @param {number|null} fromBlock - First block of borrower discovery when not checkpointed yet
+ */
+async function monitorBorrowerHealth(marketName, fromBlock) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
+  let isStopping = false;
+
+  // The first run starts discovery from `fromBlock`; later runs resume from the checkpoint
+  async function runScan() {
+    try {
+      const headBlock = await provider.getBlockNumber();
+      await discoverBorrowers(market.name, fromBlock, headBlock);
+      await scanBorrowerHealth(market.name, headBlock, true);
+    } catch (error) {
+      // The next run retries from the last checkpoint
+      console.error('Health scan failed:', error);
+    }
+  }
+
+  const workLoop = createWorkLoop(runScan, { intervalMs: HEALTH_SCAN_INTERVAL });
+  workLoop.start();
+
+  const shutdown = async (signal) => {
+    if (isStopping) {
+      console.log(`${signal} received again, exiting immediately`);
+      process.exit(1);
+    }
+
+    isStopping = true;
+    console.log(`\n${signal} received, waiting for the scan in progress to finish...`);
+    await workLoop.stop();
+
+    await closePool();
+    console.log('Health monitor stopped');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  console.log(`Health monitor started for ${market.name}. Scanning every ${HEALTH_SCAN_INTERVAL/1000} seconds. Press Ctrl+C to stop.`);
+}
+
+/**
+ * Print the latest stored health scan of a market
+ * @param {string} marketName - aave-address-book market name
+ * @returns {Promise<Object|null>} - getLatestHealthScan response
+ */
+async function showLatestHealthScan(marketName) {
+  const market = getMarket(marketName);
+  const scan = await getLatestHealthScan(market.chainId, market.name);
+
+  if (!scan) {
+    console.log(`No ${market.name} health scan stored yet`);
+    return null;
+  }
+
+  printHealthScan({
+    market: market.name,
+    blockNumber: scan.blockNumber,
+    timestamp: scan.timestamp,
+    buckets: scan.buckets.map(row => ({
+      bucket: row.bucket,
+      accountCount: row.account_count,
+      debtUSD: row.debt_usd,
+      collateralUSD: row.collateral_usd
+    })),
+    badDebtAccounts: scan.badDebtAccounts.map(row => ({
+      user: row.user_address,
+      collateralUSD: row.collateral_usd,
+      debtUSD: row.debt_usd,
+      shortfallUSD: row.shortfall_usd
+    }))
+  });
+
+  return scan;
+}
+
+/**
+ * Print a health scan as a histogram and a bad debt list
+ * @param {Object} scan - Scan with `market`, `blockNumber`, `timestamp`,
+ *   `buckets` and `badDebtAccounts`
+ */
+function printHealthScan(scan) {
+  const totalDebt = scan.buckets.reduce((sum, bucket) => sum + Number(bucket.debtUSD), 0);
+
+  console.log(`\n=== ${scan.market} borrower health at block ${scan.blockNumber} (${new Date(scan.timestamp * 1000).toISOString()}) ===`);
+  console.table(scan.buckets.map(bucket => ({
+    healthFactor: bucket.bucket,
+    accounts: bucket.accountCount,
+    debt: formatUSD(bucket.debtUSD),
+    collateral: formatUSD(bucket.collateralUSD),
+    share: totalDebt > 0 ? `${(Number(bucket.debtUSD) / totalDebt * 100).toFixed(2)}%` : '0.00%'
+  })));
+
+  const shortfall = scan.badDebtAccounts.reduce((sum, account) => sum + Number(account.shortfallUSD), 0);
+  console.log(`Bad debt: ${scan.badDebtAccounts.length} accounts, ${formatUSD(shortfall)} shortfall`);
+  scan.badDebtAccounts.forEach(account => {
+    console.log(`  ${account.user}: debt ${formatUSD(account.debtUSD)}, collateral ${formatUSD(account.collateralUSD)}`);
+  });
+}
+
+// Helper functions
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node src/health-monitor.js discover [fromBlock] [--market name] - Discover borrowers up to the latest block');
+  console.log('  node src/health-monitor.js scan [--block N] [--market name]     - Scan borrower health and store it');
+  console.log('  node src/health-monitor.js monitor [fromBlock] [--market name]  - Discover and scan periodically');
+  console.log('  node src/health-monitor.js latest [--market name]               - Show the latest stored scan');
+  console.log('    The market defaults to AaveV3Base; fromBlock is only needed on the first run');
+  console.log('    Blocks can also be ISO dates or relative times, resolved to the nearest block');
+  console.log('    Set HEALTH_SCAN_INTERVAL_MS and HEALTH_SCAN_BATCH_SIZE to tune the monitor');
+  console.log('\nExample:');
+  console.log('  node src/health-monitor.js discover 2357134');
+}
+
+// Execute the health monitor if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+  const blockIndex = args.indexOf('--block');
+  const blockArgument = blockIndex !== -1 ? args[blockIndex + 1] : null;
+  const fromArgument = args[1] && !args[1].startsWith('--') ? args[1] : null;
+
+  if ((blockArgument !== null && !isBlockArgument(blockArgument)) || (fromArgument !== null && !isBlockArgument(fromArgument))) {
+    printUsage();
+    process.exit(1);
+  }
+
+  // Blocks may be given as times; they are resolved on the market's chain
+  const resolveArgument = value => value === null
+    ? null
+    : resolveBlockArgument(createProvider(getMarket(marketName).chainId), value);
+
+  (async () => {
+    try {
+      switch (command) {
+        case 'discover': {
+          await initializeDatabase();
+          const market = getMarket(marketName);
+          const fromBlock = await resolveArgument(fromArgument);
+          const headBlock = await createProvider(market.chainId).getBlockNumber();
+          await discoverBorrowers(marketName, fromBlock, headBlock);
+          break;
+        }
+
+        case 'scan':
+          await initializeDatabase();
+          await scanBorrowerHealth(marketName, await resolveArgument(blockArgument), true);
+          break;
+
+        case 'monitor': {
+          await initializeDatabase();
+          const fromBlock = await resolveArgument(fromArgument);
+          // The monitor keeps running; the database is closed on shutdown
+          await monitorBorrowerHealth(marketName, fromBlock);
+          return;
+        }
+
+        case 'latest':
+          await showLatestHealthScan(marketName);
+          break;
+
+        default:
+          printUsage();
+          process.exitCode = command ? 1 : 0;
+      }
+    } catch (error) {
+      console.error('Health monitor failed:', error);
+      process.exitCode = 1;
+    }
+
+    await closePool();
+  })();
+}
+
+module.exports = {
+  HEALTH_FACTOR_BUCKETS,
+  discoverBorrowers,
+  fetchAccountData,
+  buildHealthDistribution,
+  scanBorrowerHealth,
+  monitorBorrowerHealth,
+  showLatestHealthScan
+};
@@ -0,0 +1,192 @@
+/**
+ * Prometheus metrics of the continuous indexer and the market it indexes
+ * Metrics are kept in process and rendered in the Prometheus text exposition
+ * format, so they describe the indexer process serving them.
+ */
+
+// Upper bounds (seconds) of the block indexing duration histogram
+const INDEX_DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Create the indexer metrics
+ * @param {string[]} [markets] - Markets whose counters start out at zero
+ * @returns {Object} - Metric recorders and `render()`, which returns the
+ *   exposition text served on /metrics
+ */
+function createIndexerMetrics(markets = []) {
+  const registry = createRegistry();
+
+  const reserveGauges = {
+    priceInUSD: registry.gauge('aave_reserve_price_usd', 'Reserve token price in USD'),
+    totalSuppliedUSD: registry.gauge('aave_reserve_supplied_usd', 'Total supplied in USD'),
+    totalBorrowedUSD: registry.gauge('aave_reserve_borrowed_usd', 'Total borrowed in USD'),
+    utilizationRate: registry.gauge('aave_reserve_utilization_percent', 'Borrowed share of the supply in percent'),
+    supplyAPY: registry.gauge('aave_reserve_supply_apy_percent', 'Supply APY in percent'),
+    variableBorrowAPY: registry.gauge('aave_reserve_variable_borrow_apy_percent', 'Variable borrow APY in percent')
+  };
+  const lastIndexedBlock = registry.gauge('aave_indexer_last_indexed_block', 'Last block stored by the indexer');
+  const headLag = registry.gauge('aave_indexer_head_lag_blocks', 'Blocks between the chain head and the last indexed block');
+  const lastSnapshotTimestamp = registry.gauge('aave_indexer_last_snapshot_timestamp_seconds', 'Timestamp of the last indexed block');
+  const rpcErrors = registry.counter('aave_indexer_rpc_errors_total', 'Failed JSON-RPC requests of the indexer provider');
+  const dbWriteFailures = registry.counter('aave_indexer_db_write_failures_total', 'Snapshots that failed to be stored');
+  const indexDuration = registry.histogram(
+    'aave_indexer_block_index_duration_seconds',
+    'Time to fetch and build the snapshot of one block',
+    INDEX_DURATION_BUCKETS
+  );
+
+  // Counters that never fired are exported as 0 rather than left out
+  markets.forEach(market => {
+    rpcErrors.inc({ market }, 0);
+    dbWriteFailures.inc({ market }, 0);
+  });
+
+  return {
+    /**
+     * Update the reserve gauges and last indexed block from a stored snapshot
+     * Reserves missing from the snapshot are dropped.
+     * @param {Object} metricsData - Snapshot as built by buildMetricsSnapshot
+     */
+    recordSnapshot(metricsData) {
+      const { market } = metricsData;
+
+      Object.entries(reserveGauges).forEach(([field, gauge]) => {
+        gauge.removeMatching({ market });
+        metricsData.tokenMetrics.forEach(token => {
+          gauge.set({ market, symbol: token.symbol, reserve: (token.underlyingAsset || '').toLowerCase() }, Number(token[field]));
+        });
+      });
+
+      lastIndexedBlock.set({ market }, metricsData.blockNumber);
+      lastSnapshotTimestamp.set({ market }, metricsData.timestamp);
+    },
+
+    /**
+     * Record how far the indexer is behind the chain head
+     * @param {string} market - aave-address-book market name
+     * @param {number} processedBlock - Last processed block
+     * @param {number} headBlock - Current chain head
+     */
+    recordHeadLag(market, processedBlock, headBlock) {
+      headLag.set({ market }, Math.max(headBlock - processedBlock, 0));
+    },
+
+    /**
+     * Count the failed JSON-RPC requests of a provider as RPC errors
+     * Every read (head polls, Pool event logs, reorg checks, contract calls)
+     * goes through `send`, so failures are counted where they happen and
+     * errors of the indexer itself are not.
+     * @param {Object} provider - ethers JsonRpcProvider, wrapped in place
+     * @param {string} market - aave-address-book market name
+     * @returns {Object} - The same provider
+     */
+    countRpcErrors(provider, market) {
+      const send = provider.send.bind(provider);
+      provider.send = async (method, params) => {
+        try {
+          return await send(method, params);
+        } catch (error) {
+          rpcErrors.inc({ market });
+          throw error;
+        }
+      };
+      return provider;
+    },
+
+    recordDbWriteFailure: market => dbWriteFailures.inc({ market }),
+    recordIndexDuration: (market, seconds) => indexDuration.observe({ market }, seconds),
+
+    render: () => registry.render()
+  };
+}
+
+// Helper functions
+function createRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, render) {
+    const series = new Map();
+    metrics.push({ name, help, type, series, render });
+    return series;
+  }
+
+  return {
+    gauge(name, help) {
+      const series = register(name, help, 'gauge', (labels, value) => [formatSample(name, labels, value)]);
+      return {
+        set: (labels, value) => series.set(labelKey(labels), { labels, value }),
+        removeMatching: (labels) => {
+          for (const [key, entry] of series) {
+            if (Object.entries(labels).every(([label, value]) => entry.labels[label] === value)) {
+              series.delete(key);
+            }
+          }
+        }
+      };
+    },
+
+    counter(name, help) {
+      const series = register(name, help, 'counter', (labels, value) => [formatSample(name, labels, value)]);
+      return {
+        inc: (labels, amount = 1) => {
+          const entry = series.get(labelKey(labels)) || { labels, value: 0 };
+          entry.value += amount;
+          series.set(labelKey(labels), entry);
+        }
+      };
+    },
+
+    histogram(name, help, buckets) {
+      const series = register(name, help, 'histogram', (labels, value) => [
+        ...buckets.map((bound, index) => formatSample(`${name}_bucket`, { ...labels, le: String(bound) }, value.counts[index])),
+        formatSample(`${name}_bucket`, { ...labels, le: '+Inf' }, value.count),
+        formatSample(`${name}_sum`, labels, value.sum),
+        formatSample(`${name}_count`, labels, value.count)
+      ]);
+      return {
+        observe: (labels, observed) => {
+          const entry = series.get(labelKey(labels)) || {
+            labels,
+            value: { counts: buckets.map(() => 0), sum: 0, count: 0 }
+          };
+          buckets.forEach((bound, index) => {
+            if (observed <= bound) entry.value.counts[index]++;
+          });
+          entry.value.sum += observed;
+          entry.value.count++;
+          series.set(labelKey(labels), entry);
+        }
+      };
+    },
+
+    render() {
+      return metrics.map(({ name, help, type, series, render }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...[...series.values()].flatMap(({ labels, value }) => render(labels, value))
+      ].join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(label => [label, labels[label]]));
+}
+
+function formatSample(name, labels, value) {
+  const formattedLabels = Object.entries(labels)
+    .map(([label, labelValue]) => `${label}="${String(labelValue).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+  return `${name}${formattedLabels ? `{${formattedLabels}}` : ''} ${formatValue(value)}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+module.exports = {
+  createIndexerMetrics
+};
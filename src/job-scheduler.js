@@ -0,0 +1,166 @@
+/**
+ * Scheduling primitives for long-running indexing jobs
+ */
+
+/**
+ * Reject if a promise does not settle within the given time
+ * The underlying work is not cancelled; its late result is ignored.
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeoutMs - Time limit in milliseconds (0 disables it)
+ * @param {string} label - Description used in the timeout error
+ * @returns {Promise<*>} - Result of the promise
+ */
+function withTimeout(promise, timeoutMs, label) {
+  if (!timeoutMs) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a polling loop that runs an async task, waits, and runs it again
+ * Unlike setInterval, a run never starts while the previous one is still
+ * in progress (single-flight).
+ * @param {Function} task - Async function run on every iteration
+ * @param {Object} options - Loop options
+ * @param {number} options.intervalMs - Pause between the end of a run and the next
+ * @returns {Object} - `{ start(), stop() }`; stop resolves once the current run ends
+ */
+function createWorkLoop(task, { intervalMs }) {
+  let running = false;
+  let loopPromise = null;
+  let wakeUp = null;
+
+  async function loop() {
+    while (running) {
+      await task();
+
+      if (!running) {
+        break;
+      }
+
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, intervalMs);
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = null;
+    }
+  }
+
+  return {
+    start() {
+      if (!running) {
+        running = true;
+        loopPromise = loop();
+      }
+      return loopPromise;
+    },
+
+    async stop() {
+      running = false;
+      if (wakeUp) {
+        wakeUp();
+      }
+      await loopPromise;
+    }
+  };
+}
+
+/**
+ * Fetch items concurrently but commit them one at a time in input order
+ * At most `concurrency` fetches run at once, and at most `maxPending` items
+ * may be fetched or fetching ahead of the next commit, so a slow commit
+ * (e.g. storage) throttles fetching instead of buffering without bound.
+ * Stops at the first failed fetch or commit; everything committed before it
+ * stays committed.
+ * @param {Array} items - Items to process, in commit order
+ * @param {Object} options - Pipeline options
+ * @param {Function} options.fetch - Async function producing a result for an item
+ * @param {Function} options.commit - Async function receiving (item, result)
+ * @param {number} [options.concurrency] - Maximum concurrent fetches (default 1)
+ * @param {number} [options.maxPending] - Maximum uncommitted items (default 2 × concurrency)
+ * @param {number} [options.timeoutMs] - Per-item fetch time limit (default none)
+ * @param {Function} [options.shouldStop] - Returns true to stop dispatching new items
+ * @param {Function} [options.describeItem] - Names an item in timeout errors
+ * @returns {Promise<number>} - Number of committed items
+ */
+async function runOrderedPipeline(items, {
+  fetch,
+  commit,
+  concurrency = 1,
+  maxPending = concurrency * 2,
+  timeoutMs = 0,
+  shouldStop = () => false,
+  describeItem = item => `Item ${item}`
+}) {
+  const window = [];
+  let nextIndex = 0;
+  let activeFetches = 0;
+  let failed = false;
+  let committed = 0;
+
+  function dispatch() {
+    while (
+      !failed &&
+      !shouldStop() &&
+      nextIndex < items.length &&
+      activeFetches < concurrency &&
+      window.length < Math.max(maxPending, concurrency)
+    ) {
+      const item = items[nextIndex++];
+      activeFetches++;
+
+      // Settle into a result object so a failure ahead of the commit
+      // position is never an unhandled rejection
+      const settled = withTimeout(Promise.resolve().then(() => fetch(item)), timeoutMs, describeItem(item))
+        .then(value => ({ value }), error => ({ error }))
+        .finally(() => {
+          // A finished fetch frees a slot even while the head item is pending
+          activeFetches--;
+          dispatch();
+        });
+
+      window.push({ item, settled });
+    }
+  }
+
+  try {
+    dispatch();
+
+    while (window.length > 0) {
+      const { item, settled } = window[0];
+      const result = await settled;
+
+      if (result.error) {
+        failed = true;
+        throw result.error;
+      }
+
+      await commit(item, result.value);
+      window.shift();
+      committed++;
+      dispatch();
+    }
+
+    return committed;
+  } finally {
+    // Let stragglers finish before returning so callers can shut down cleanly
+    failed = true;
+    await Promise.all(window.map(entry => entry.settled));
+  }
+}
+
+module.exports = {
+  withTimeout,
+  createWorkLoop,
+  runOrderedPipeline
+};
@@ -0,0 +1,239 @@
+const { normalize, valueToBigNumber } = require('@aave/math-utils');
+const {
+  initializeDatabase,
+  storeLiquidations,
+  getLiquidations,
+  closePool
+} = require('./db-storage');
+const { processPoolEventBlocks } = require('./pool-events');
+const { fetchReservePrices, toUSDString } = require('./reserve-metrics');
+const { getMarket, createProvider } = require('./markets');
+const { isBlockArgument, resolveBlockArgument, printResumeCommand } = require('./block-time');
+
+/**
+ * Turn a decoded LiquidationCall event into a liquidation valued at the
+ * block's prices
+ * The liquidator repays `debtCovered` and receives `collateralLiquidated`
+ * (the protocol fee is already excluded), so the bonus earned is the
+ * difference of their USD values.
+ * @param {Object} event - LiquidationCall event returned by getPoolEvents
+ * @param {Map} prices - Reserve prices returned by fetchReservePrices
+ * @param {number} timestamp - Block timestamp
+ * @returns {Object} - Liquidation with exact decimal amounts and USD values
+ */
+function buildLiquidation(event, prices, timestamp) {
+  const collateralAsset = event.args.collateralAsset.toLowerCase();
+  const debtAsset = event.args.debtAsset.toLowerCase();
+  const collateral = prices.get(collateralAsset);
+  const debt = prices.get(debtAsset);
+
+  if (!collateral || !debt) {
+    throw new Error(`No price for ${!collateral ? collateralAsset : debtAsset} in block ${event.blockNumber}`);
+  }
+
+  const debtCovered = valueToBigNumber(normalize(event.args.debtToCover.toString(), debt.decimals));
+  const collateralLiquidated = valueToBigNumber(normalize(event.args.liquidatedCollateralAmount.toString(), collateral.decimals));
+  const debtCoveredUSD = debtCovered.times(debt.priceInUSD);
+  const collateralLiquidatedUSD = collateralLiquidated.times(collateral.priceInUSD);
+
+  return {
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    timestamp,
+    userAddress: event.args.user.toLowerCase(),
+    liquidator: event.args.liquidator.toLowerCase(),
+    collateralAsset,
+    collateralSymbol: collateral.symbol,
+    debtAsset,
+    debtSymbol: debt.symbol,
+    debtCovered: debtCovered.toFixed(),
+    debtCoveredUSD: toUSDString(debtCoveredUSD),
+    collateralLiquidated: collateralLiquidated.toFixed(),
+    collateralLiquidatedUSD: toUSDString(collateralLiquidatedUSD),
+    bonusUSD: toUSDString(collateralLiquidatedUSD.minus(debtCoveredUSD)),
+    receiveAToken: event.args.receiveAToken
+  };
+}
+
+/**
+ * Index the LiquidationCall events of a market over a block range
+ * Progress is checkpointed, so re-running the same range resumes it.
+ * @param {string} marketName - aave-address-book market name
+ * @param {number} startBlock - First block of the range
+ * @param {number} endBlock - Last block of the range
+ * @returns {Promise<number>} - Number of indexed liquidations
+ */
+async function indexLiquidations(marketName, startBlock, endBlock) {
+  const market = getMarket(marketName);
+  const provider = createProvider(market.chainId);
+
+  console.log(`Indexing ${market.name} liquidations from block ${startBlock} to ${endBlock}...`);
+
+  await initializeDatabase();
+
+  let liquidationCount = 0;
+
+  await processPoolEventBlocks({
+    jobName: `liquidations:${market.name}:${startBlock}-${endBlock}`,
+    provider,
+    poolAddress: market.addresses.POOL,
+    startBlock,
+    endBlock,
+    eventNames: ['LiquidationCall'],
+    processBlock: async (blockNumber, events) => {
+      const [block, prices] = await Promise.all([
+        provider.getBlock(blockNumber),
+        fetchReservePrices(provider, market.addresses, market.chainId, blockNumber)
+      ]);
+
+      const liquidations = events.map(event => buildLiquidation(event, prices, block.timestamp));
+      await storeLiquidations({
+        chainId: market.chainId,
+        market: market.name,
+        blockNumber,
+        liquidations
+      });
+
+      liquidations.forEach(liquidation => {
+        console.log(`✓ Block ${blockNumber}: ${liquidation.collateralSymbol}/${liquidation.debtSymbol} ` +
+          `${formatUSD(liquidation.debtCoveredUSD)} debt covered, ${formatUSD(liquidation.bonusUSD)} bonus`);
+      });
+      liquidationCount += liquidations.length;
+    }
+  });
+
+  console.log(`\nLiquidation indexing completed: ${liquidationCount} liquidations`);
+  return liquidationCount;
+}
+
+/**
+ * Summarize stored liquidations by UTC day and collateral/debt asset pair
+ * @param {string} marketName - aave-address-book market name
+ * @param {number} days - Number of days to look back from now
+ * @returns {Promise<Array>} - Rows `{ day, pair, liquidations, debtCoveredUSD,
+ *   collateralLiquidatedUSD, bonusUSD }` as exact decimal strings, newest day first
+ */
+async function summarizeLiquidations(marketName, days) {
+  const market = getMarket(marketName);
+  const toTimestamp = Math.floor(Date.now() / 1000);
+  const fromTimestamp = toTimestamp - days * 86400;
+  const rows = await getLiquidations(market.chainId, market.name, fromTimestamp, toTimestamp);
+
+  const groups = new Map();
+  for (const row of rows) {
+    const day = new Date(parseInt(row.timestamp) * 1000).toISOString().slice(0, 10);
+    const pair = `${row.collateral_symbol}/${row.debt_symbol}`;
+    const key = `${day} ${pair}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        day,
+        pair,
+        liquidations: 0,
+        debtCoveredUSD: valueToBigNumber(0),
+        collateralLiquidatedUSD: valueToBigNumber(0),
+        bonusUSD: valueToBigNumber(0)
+      });
+    }
+
+    const group = groups.get(key);
+    group.liquidations++;
+    group.debtCoveredUSD = group.debtCoveredUSD.plus(row.debt_covered_usd);
+    group.collateralLiquidatedUSD = group.collateralLiquidatedUSD.plus(row.collateral_liquidated_usd);
+    group.bonusUSD = group.bonusUSD.plus(row.bonus_usd);
+  }
+
+  const summary = [...groups.values()]
+    .sort((a, b) => b.day.localeCompare(a.day) || b.debtCoveredUSD.comparedTo(a.debtCoveredUSD))
+    .map(group => ({
+      ...group,
+      debtCoveredUSD: group.debtCoveredUSD.toFixed(),
+      collateralLiquidatedUSD: group.collateralLiquidatedUSD.toFixed(),
+      bonusUSD: group.bonusUSD.toFixed()
+    }));
+
+  console.log(`\n=== ${market.name} liquidations, last ${days} days (${rows.length} events) ===`);
+  console.table(summary.map(group => ({
+    day: group.day,
+    pair: group.pair,
+    liquidations: group.liquidations,
+    debtCovered: formatUSD(group.debtCoveredUSD),
+    collateralLiquidated: formatUSD(group.collateralLiquidatedUSD),
+    bonus: formatUSD(group.bonusUSD)
+  })));
+
+  return summary;
+}
+
+// Helper functions
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node src/liquidation-tracker.js index <startBlock> <endBlock> [--market name] - Index liquidations');
+  console.log('  node src/liquidation-tracker.js summary [days] [--market name]               - Volume by asset pair and day (default 30 days)');
+  console.log('    The market defaults to AaveV3Base; blocks can also be ISO dates or relative times');
+  console.log('\nExamples:');
+  console.log('  node src/liquidation-tracker.js index 28000000 28489917');
+  console.log('  node src/liquidation-tracker.js index 2025-04-01 2025-04-08');
+}
+
+// Execute the tracker if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+
+  (async () => {
+    try {
+      switch (command) {
+        case 'index': {
+          if (!isBlockArgument(args[1]) || !isBlockArgument(args[2])) {
+            printUsage();
+            process.exitCode = 1;
+            break;
+          }
+          const provider = createProvider(getMarket(marketName).chainId);
+          const startBlock = await resolveBlockArgument(provider, args[1]);
+          const endBlock = await resolveBlockArgument(provider, args[2]);
+          if (endBlock < startBlock) {
+            throw new Error(`End block ${endBlock} is before start block ${startBlock}`);
+          }
+          printResumeCommand('src/liquidation-tracker.js', args, { 1: startBlock, 2: endBlock });
+          await indexLiquidations(marketName, startBlock, endBlock);
+          break;
+        }
+
+        case 'summary': {
+          const days = parseInt(args[1]) || 30;
+          await summarizeLiquidations(marketName, days);
+          break;
+        }
+
+        default:
+          printUsage();
+          process.exitCode = command ? 1 : 0;
+      }
+    } catch (error) {
+      console.error('Liquidation tracking failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  indexLiquidations,
+  summarizeLiquidations,
+  buildLiquidation
+};
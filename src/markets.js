@@ -0,0 +1,115 @@
+const { ethers } = require('ethers');
+const addressBook = require('@bgd-labs/aave-address-book');
+
+/**
+ * Registry of the Aave V3 markets published in aave-address-book
+ * Markets are keyed by their address book name (e.g. `AaveV3Ethereum`);
+ * several markets can share a chain and therefore its RPC setting.
+ */
+
+// Per-chain settings; the RPC URL is read from `rpcEnv`, then RPC_URL_<chainId>
+const CHAINS = {
+  1: { network: 'Ethereum', rpcEnv: 'ETHEREUM_RPC_URL', defaultRpcUrl: 'https://ethereum-rpc.publicnode.com', blockTimeSeconds: 12 },
+  10: { network: 'Optimism', rpcEnv: 'OPTIMISM_RPC_URL', defaultRpcUrl: 'https://mainnet.optimism.io', blockTimeSeconds: 2 },
+  56: { network: 'BNB Chain', rpcEnv: 'BNB_RPC_URL', defaultRpcUrl: 'https://bsc-rpc.publicnode.com', blockTimeSeconds: 3 },
+  100: { network: 'Gnosis', rpcEnv: 'GNOSIS_RPC_URL', defaultRpcUrl: 'https://rpc.gnosischain.com', blockTimeSeconds: 5 },
+  137: { network: 'Polygon', rpcEnv: 'POLYGON_RPC_URL', defaultRpcUrl: 'https://polygon-rpc.com', blockTimeSeconds: 2 },
+  146: { network: 'Sonic', rpcEnv: 'SONIC_RPC_URL', defaultRpcUrl: 'https://rpc.soniclabs.com', blockTimeSeconds: 1 },
+  324: { network: 'ZKsync', rpcEnv: 'ZKSYNC_RPC_URL', defaultRpcUrl: 'https://mainnet.era.zksync.io', blockTimeSeconds: 1 },
+  1088: { network: 'Metis', rpcEnv: 'METIS_RPC_URL', defaultRpcUrl: 'https://andromeda.metis.io/?owner=1088', blockTimeSeconds: 4 },
+  5000: { network: 'Mantle', rpcEnv: 'MANTLE_RPC_URL', defaultRpcUrl: 'https://rpc.mantle.xyz', blockTimeSeconds: 2 },
+  8453: { network: 'Base', rpcEnv: 'BASE_RPC_URL', defaultRpcUrl: 'https://mainnet.base.org', blockTimeSeconds: 2 },
+  42161: { network: 'Arbitrum', rpcEnv: 'ARBITRUM_RPC_URL', defaultRpcUrl: 'https://arb1.arbitrum.io/rpc', blockTimeSeconds: 1 },
+  42220: { network: 'Celo', rpcEnv: 'CELO_RPC_URL', defaultRpcUrl: 'https://forno.celo.org', blockTimeSeconds: 1 },
+  43114: { network: 'Avalanche', rpcEnv: 'AVALANCHE_RPC_URL', defaultRpcUrl: 'https://api.avax.network/ext/bc/C/rpc', blockTimeSeconds: 2 },
+  59144: { network: 'Linea', rpcEnv: 'LINEA_RPC_URL', defaultRpcUrl: 'https://rpc.linea.build', blockTimeSeconds: 2 },
+  534352: { network: 'Scroll', rpcEnv: 'SCROLL_RPC_URL', defaultRpcUrl: 'https://rpc.scroll.io', blockTimeSeconds: 3 },
+  84532: { network: 'Base Sepolia', rpcEnv: 'BASE_SEPOLIA_RPC_URL', testnet: true },
+  421614: { network: 'Arbitrum Sepolia', rpcEnv: 'ARBITRUM_SEPOLIA_RPC_URL', testnet: true },
+  534351: { network: 'Scroll Sepolia', rpcEnv: 'SCROLL_SEPOLIA_RPC_URL', testnet: true },
+  11155111: { network: 'Sepolia', rpcEnv: 'SEPOLIA_RPC_URL', testnet: true },
+  11155420: { network: 'Optimism Sepolia', rpcEnv: 'OPTIMISM_SEPOLIA_RPC_URL', testnet: true }
+};
+
+/**
+ * Describe an address book market
+ * @param {string} name - aave-address-book market name
+ * @returns {Object} - `{ name, chainId, network, testnet, blockTimeSeconds, addresses }`
+ */
+function getMarket(name) {
+  const addresses = addressBook[name];
+
+  if (!isIndexableMarket(name, addresses)) {
+    throw new Error(`Unknown market "${name}". Available markets: ${listMarkets({ includeTestnets: true }).map(m => m.name).join(', ')}`);
+  }
+
+  const chain = CHAINS[addresses.CHAIN_ID] || {};
+
+  return {
+    name,
+    chainId: addresses.CHAIN_ID,
+    network: chain.network || `Chain ${addresses.CHAIN_ID}`,
+    testnet: Boolean(chain.testnet),
+    blockTimeSeconds: chain.blockTimeSeconds || null,
+    addresses
+  };
+}
+
+/**
+ * List the Aave V3 markets that can be indexed
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeTestnets] - Also list testnet markets (default false)
+ * @returns {Array<Object>} - Markets as returned by getMarket, sorted by name
+ */
+function listMarkets({ includeTestnets = false } = {}) {
+  return Object.keys(addressBook)
+    .filter(name => isIndexableMarket(name, addressBook[name]))
+    .sort()
+    .map(getMarket)
+    .filter(market => includeTestnets || !market.testnet);
+}
+
+/**
+ * Get the RPC URL configured for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string} - RPC URL
+ */
+function getRpcUrl(chainId) {
+  const chain = CHAINS[chainId] || {};
+  const rpcUrl = (chain.rpcEnv && process.env[chain.rpcEnv]) ||
+    process.env[`RPC_URL_${chainId}`] ||
+    chain.defaultRpcUrl;
+
+  if (!rpcUrl) {
+    const envNames = [chain.rpcEnv, `RPC_URL_${chainId}`].filter(Boolean).join(' or ');
+    throw new Error(`No RPC URL configured for chain ${chainId}; set ${envNames}`);
+  }
+
+  return rpcUrl;
+}
+
+/**
+ * Create an ethers provider for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Object} - ethers JsonRpcProvider
+ */
+function createProvider(chainId) {
+  return new ethers.providers.JsonRpcProvider(getRpcUrl(chainId));
+}
+
+// Only Aave V3 pools with the UI data providers the indexer reads from
+function isIndexableMarket(name, addresses) {
+  return /^AaveV3/.test(name) &&
+    Boolean(addresses) &&
+    Boolean(addresses.POOL_ADDRESSES_PROVIDER) &&
+    Boolean(addresses.UI_POOL_DATA_PROVIDER) &&
+    Boolean(addresses.UI_INCENTIVE_DATA_PROVIDER) &&
+    Number.isInteger(addresses.CHAIN_ID);
+}
+
+module.exports = {
+  getMarket,
+  listMarkets,
+  getRpcUrl,
+  createProvider
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { initializeDatabase, storeMetrics, closePool } = require('./db-storage');
+const { fetchMarketReserves, buildMetricsSnapshot } = require('./reserve-metrics');
+const { getMarket, listMarkets, getRpcUrl, createProvider } = require('./markets');
+const { fetchWatchlistPositions, printPositions } = require('./positions');
+const { isBlockArgument, resolveBlockArgument } = require('./block-time');
+
+// Per-market JSON files live next to the Base ones
+const marketsDir = path.join(__dirname, '..', 'data', 'markets');
+
+/**
+ * Index AAVE metrics for any aave-address-book market
+ * @param {string} marketName - aave-address-book market name, e.g. `AaveV3Ethereum`
+ * @param {number|null} blockNumber - Block to index, or null for the latest
+ * @param {boolean} storeInDb - Store the snapshot via storeMetrics
+ * @returns {Promise<Object>} - The metrics data, tagged with chain and market
+ */
+async function indexMarketMetrics(marketName, blockNumber = null, storeInDb = false) {
+  const market = getMarket(marketName);
+  console.log(`Indexing ${market.name} (${market.network}, chain ${market.chainId})...`);
+
+  const provider = createProvider(market.chainId);
+
+  const currentBlock = blockNumber || await provider.getBlockNumber();
+  const block = await provider.getBlock(currentBlock);
+
+  const { reserves, reserveIncentives, eModes } = await fetchMarketReserves(
+    provider, market.addresses, market.chainId, currentBlock
+  );
+  const userPositions = await fetchWatchlistPositions(
+    provider, market.addresses, market.chainId, currentBlock
+  );
+
+  const metricsData = buildMetricsSnapshot({
+    reserves,
+    reserveIncentives,
+    eModes,
+    block,
+    network: market.network,
+    chainId: market.chainId,
+    market: market.name,
+    userPositions
+  });
+
+  console.log(`Block: ${currentBlock}`);
+  console.log(`Total Market Size: ${formatUSD(metricsData.totalMarketSize)}`);
+  console.log(`Total Borrows: ${formatUSD(metricsData.totalBorrows)}`);
+  console.log(`Average Utilization: ${metricsData.averageUtilization.toFixed(2)}%`);
+  console.log(`Number of Tokens: ${metricsData.tokenCount}`);
+  if (metricsData.positions) {
+    printPositions(metricsData.positions);
+  }
+
+  saveMarketMetricsFile(metricsData);
+
+  if (storeInDb) {
+    await storeMetrics(metricsData);
+    console.log(`Metrics for ${market.name} block ${currentBlock} stored in database`);
+  }
+
+  return metricsData;
+}
+
+/**
+ * Index the latest block of every market, one market at a time
+ * A failing market (e.g. an unreachable RPC) is reported and skipped.
+ * @param {Object} [options] - Indexing options
+ * @param {boolean} [options.storeInDb] - Store every snapshot via storeMetrics
+ * @param {boolean} [options.includeTestnets] - Also index testnet markets
+ * @returns {Promise<Object>} - `{ indexed, failed }` lists of snapshots and errors
+ */
+async function indexAllMarkets({ storeInDb = false, includeTestnets = false } = {}) {
+  const indexed = [];
+  const failed = [];
+
+  for (const market of listMarkets({ includeTestnets })) {
+    console.log('');
+    try {
+      indexed.push(await indexMarketMetrics(market.name, null, storeInDb));
+      console.log(`✓ ${market.name} indexed`);
+    } catch (error) {
+      failed.push({ market: market.name, error });
+      console.error(`✗ ${market.name} failed: ${error.message}`);
+    }
+  }
+
+  // Print a cross-market summary
+  console.log('\n======== AAVE V3 MARKETS ========');
+  indexed
+    .sort((a, b) => Number(b.totalMarketSize) - Number(a.totalMarketSize))
+    .forEach(metrics => {
+      console.log(`${metrics.market.padEnd(24)} ${metrics.network.padEnd(12)} ${formatUSD(metrics.totalMarketSize).padStart(22)}  block ${metrics.blockNumber}`);
+    });
+  console.log('=================================');
+  console.log(`${indexed.length} markets indexed, ${failed.length} failed`);
+
+  return { indexed, failed };
+}
+
+/**
+ * Save a market snapshot to its timestamped and latest JSON files
+ * @param {Object} metricsData - The metrics data to save
+ */
+function saveMarketMetricsFile(metricsData) {
+  if (!fs.existsSync(marketsDir)) {
+    fs.mkdirSync(marketsDir, { recursive: true });
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = path.join(marketsDir, `${metricsData.market}-metrics-${timestamp}.json`);
+  const latestFile = path.join(marketsDir, `${metricsData.market}-metrics-latest.json`);
+
+  fs.writeFileSync(filename, JSON.stringify(metricsData, null, 2), 'utf8');
+  fs.writeFileSync(latestFile, JSON.stringify(metricsData, null, 2), 'utf8');
+
+  console.log(`Metrics saved to ${filename}`);
+}
+
+// Helper functions
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node src/multi-market-indexer.js <market> [--block N] [--store]  - Index one market');
+  console.log('  node src/multi-market-indexer.js all [--store] [--testnets]    - Index the latest block of every market');
+  console.log('  node src/multi-market-indexer.js list [--testnets]             - List markets and their RPC settings');
+  console.log('\nRPC URLs are read per chain, e.g. ETHEREUM_RPC_URL, ARBITRUM_RPC_URL, BASE_RPC_URL,');
+  console.log('or RPC_URL_<chainId> for any chain');
+  console.log('--block also takes an ISO date or relative time, resolved to the nearest block');
+  console.log('\nExample:');
+  console.log('  node src/multi-market-indexer.js AaveV3Arbitrum --store');
+}
+
+// Execute the indexer if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const storeInDb = args.includes('--store');
+  const includeTestnets = args.includes('--testnets');
+  const blockIndex = args.indexOf('--block');
+  const blockArgument = blockIndex !== -1 ? args[blockIndex + 1] : null;
+
+  if (blockIndex !== -1 && !isBlockArgument(blockArgument)) {
+    console.error('--block must be a block number or time');
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      switch (command) {
+        case 'list':
+          listMarkets({ includeTestnets }).forEach(market => {
+            let rpc;
+            try {
+              rpc = getRpcUrl(market.chainId);
+            } catch (error) {
+              rpc = 'not configured';
+            }
+            console.log(`${market.name.padEnd(24)} chain ${String(market.chainId).padEnd(9)} ${market.network.padEnd(18)} ${rpc}`);
+          });
+          break;
+
+        case 'all': {
+          if (blockArgument !== null) {
+            throw new Error('--block cannot be used with all; block numbers differ per chain');
+          }
+          if (storeInDb) {
+            await initializeDatabase();
+          }
+          const { failed } = await indexAllMarkets({ storeInDb, includeTestnets });
+          if (failed.length > 0) {
+            process.exitCode = 1;
+          }
+          break;
+        }
+
+        case undefined:
+        case 'help':
+          printUsage();
+          break;
+
+        default: {
+          // Times are resolved on the chain of the market being indexed
+          const blockNumber = blockArgument !== null
+            ? await resolveBlockArgument(createProvider(getMarket(command).chainId), blockArgument)
+            : null;
+          if (storeInDb) {
+            await initializeDatabase();
+          }
+          await indexMarketMetrics(command, blockNumber, storeInDb);
+          console.log(`\n${command} indexing completed successfully`);
+        }
+      }
+    } catch (error) {
+      console.error('Market indexing failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      if (storeInDb) {
+        await closePool();
+      }
+    }
+  })();
+}
+
+module.exports = {
+  indexMarketMetrics,
+  indexAllMarkets
+};
@@ -0,0 +1,151 @@
+const { ethers } = require('ethers');
+const { getCheckpoint, saveCheckpoint } = require('./db-storage');
+
+// Aave V3 Pool events that change reserve state
+const POOL_EVENTS_ABI = [
+  'event ReserveDataUpdated(address indexed reserve, uint256 liquidityRate, uint256 stableBorrowRate, uint256 variableBorrowRate, uint256 liquidityIndex, uint256 variableBorrowIndex)',
+  'event Supply(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint16 indexed referralCode)',
+  'event Withdraw(address indexed reserve, address indexed user, address indexed to, uint256 amount)',
+  'event Borrow(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint8 interestRateMode, uint256 borrowRate, uint16 indexed referralCode)',
+  'event Repay(address indexed reserve, address indexed user, address indexed repayer, uint256 amount, bool useATokens)',
+  'event LiquidationCall(address indexed collateralAsset, address indexed debtAsset, address indexed user, uint256 debtToCover, uint256 liquidatedCollateralAmount, address liquidator, bool receiveAToken)'
+];
+
+const poolInterface = new ethers.utils.Interface(POOL_EVENTS_ABI);
+
+const POOL_EVENT_NAMES = Object.values(poolInterface.events).map(event => event.name);
+
+// Largest block range requested per eth_getLogs call; RPC providers cap it
+const POOL_LOGS_MAX_RANGE = parseInt(process.env.POOL_LOGS_MAX_RANGE) || 2000;
+
+/**
+ * Fetch and decode Pool events over a block range
+ * The range is split into POOL_LOGS_MAX_RANGE sized eth_getLogs requests.
+ * @param {Object} provider - ethers provider
+ * @param {string} poolAddress - Pool contract address
+ * @param {number} fromBlock - First block of the range
+ * @param {number} toBlock - Last block of the range
+ * @param {string[]} [eventNames] - Events to fetch (default all POOL_EVENT_NAMES)
+ * @returns {Promise<Array>} - Decoded events in chain order:
+ *   `{ name, blockNumber, transactionHash, logIndex, args }`
+ */
+async function getPoolEvents(provider, poolAddress, fromBlock, toBlock, eventNames = POOL_EVENT_NAMES) {
+  // A single topic0 list matches any of the requested events
+  const topics = [eventNames.map(name => poolInterface.getEventTopic(name))];
+  const events = [];
+
+  for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += POOL_LOGS_MAX_RANGE) {
+    const chunkEnd = Math.min(toBlock, chunkStart + POOL_LOGS_MAX_RANGE - 1);
+    const logs = await provider.getLogs({
+      address: poolAddress,
+      topics,
+      fromBlock: chunkStart,
+      toBlock: chunkEnd
+    });
+
+    for (const log of logs) {
+      const parsed = poolInterface.parseLog(log);
+      events.push({
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        args: parsed.args
+      });
+    }
+  }
+
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Get the reserves an event changed, as lowercase addresses
+ * @param {Object} event - Event returned by getPoolEvents
+ * @returns {string[]} - Reserve addresses
+ */
+function getEventReserves(event) {
+  if (event.name === 'LiquidationCall') {
+    return [event.args.collateralAsset.toLowerCase(), event.args.debtAsset.toLowerCase()];
+  }
+  return [event.args.reserve.toLowerCase()];
+}
+
+/**
+ * Group Pool events by block and collect the reserves touched in each block
+ * @param {Object} provider - ethers provider
+ * @param {string} poolAddress - Pool contract address
+ * @param {number} fromBlock - First block of the range
+ * @param {number} toBlock - Last block of the range
+ * @returns {Promise<Map>} - Block number → Set of touched reserve addresses, ascending
+ */
+async function getTouchedReservesByBlock(provider, poolAddress, fromBlock, toBlock) {
+  const touched = new Map();
+
+  for (const event of await getPoolEvents(provider, poolAddress, fromBlock, toBlock)) {
+    if (!touched.has(event.blockNumber)) {
+      touched.set(event.blockNumber, new Set());
+    }
+    getEventReserves(event).forEach(reserve => touched.get(event.blockNumber).add(reserve));
+  }
+
+  return touched;
+}
+
+/**
+ * Run a resumable job over the blocks of a range that emitted Pool events
+ * Events are fetched POOL_LOGS_MAX_RANGE blocks at a time and handed to
+ * `processBlock` one block at a time in ascending order. The job is
+ * checkpointed after every processed block and window, so re-running it
+ * with the same name resumes where it stopped.
+ * @param {Object} job - Job description
+ * @param {string} job.jobName - Unique checkpoint name
+ * @param {Object} job.provider - ethers provider
+ * @param {string} job.poolAddress - Pool contract address
+ * @param {number} job.startBlock - First block of the range
+ * @param {number} job.endBlock - Last block of the range
+ * @param {string[]} job.eventNames - Events to fetch
+ * @param {Function} job.processBlock - Async function receiving (blockNumber, events)
+ * @returns {Promise<number>} - Number of processed blocks
+ */
+async function processPoolEventBlocks({ jobName, provider, poolAddress, startBlock, endBlock, eventNames, processBlock }) {
+  const checkpoint = await getCheckpoint(jobName);
+  if (checkpoint !== null) {
+    console.log(`Resuming after checkpointed block ${checkpoint}`);
+  }
+
+  let processedBlocks = 0;
+  const firstBlock = checkpoint !== null ? checkpoint + 1 : startBlock;
+
+  for (let windowStart = firstBlock; windowStart <= endBlock; windowStart += POOL_LOGS_MAX_RANGE) {
+    const windowEnd = Math.min(endBlock, windowStart + POOL_LOGS_MAX_RANGE - 1);
+    const events = await getPoolEvents(provider, poolAddress, windowStart, windowEnd, eventNames);
+
+    // Events are in chain order, so blocks come out ascending
+    const eventsByBlock = new Map();
+    for (const event of events) {
+      if (!eventsByBlock.has(event.blockNumber)) {
+        eventsByBlock.set(event.blockNumber, []);
+      }
+      eventsByBlock.get(event.blockNumber).push(event);
+    }
+
+    for (const [blockNumber, blockEvents] of eventsByBlock) {
+      await processBlock(blockNumber, blockEvents);
+      await saveCheckpoint(jobName, blockNumber);
+      processedBlocks++;
+    }
+
+    await saveCheckpoint(jobName, windowEnd);
+  }
+
+  return processedBlocks;
+}
+
+module.exports = {
+  POOL_EVENTS_ABI,
+  POOL_EVENT_NAMES,
+  getPoolEvents,
+  getEventReserves,
+  getTouchedReservesByBlock,
+  processPoolEventBlocks
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const { getLatestPositions, getPositionHistory, closePool } = require('./db-storage');
+const { fetchUserPositions } = require('./reserve-metrics');
+const { getMarket } = require('./markets');
+
+/**
+ * Get the watched account addresses
+ * Read from WATCHLIST_ADDRESSES (comma separated) and WATCHLIST_FILE
+ * (JSON array of addresses); both are optional.
+ * @returns {string[]} - Unique lowercase addresses
+ */
+function getWatchlist() {
+  const addresses = (process.env.WATCHLIST_ADDRESSES || '').split(',');
+
+  if (process.env.WATCHLIST_FILE) {
+    addresses.push(...JSON.parse(fs.readFileSync(process.env.WATCHLIST_FILE, 'utf8')));
+  }
+
+  const watchlist = new Set();
+  for (const address of addresses.map(value => value.trim()).filter(Boolean)) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      throw new Error(`Invalid watchlist address: ${address}`);
+    }
+    watchlist.add(address.toLowerCase());
+  }
+
+  return [...watchlist];
+}
+
+/**
+ * Fetch the positions of the watched accounts at a block
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - aave-address-book market addresses
+ * @param {number} chainId - Chain ID of the market
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<Array|undefined>} - fetchUserPositions response, or
+ *   undefined when the watchlist is empty
+ */
+async function fetchWatchlistPositions(provider, addresses, chainId, blockNumber) {
+  const watchlist = getWatchlist();
+  if (watchlist.length === 0) {
+    return undefined;
+  }
+  return fetchUserPositions(provider, addresses, chainId, watchlist, blockNumber);
+}
+
+/**
+ * Print the positions of a snapshot taken with a watchlist
+ * @param {Array} positions - `positions` of a metrics snapshot
+ */
+function printPositions(positions) {
+  console.log(`\n======== WATCHLIST POSITIONS (${positions.length}) ========`);
+  positions.forEach(position => {
+    console.log(`${position.user}: HF ${formatHealthFactor(position.healthFactor)}, ` +
+      `collateral ${formatUSD(position.totalCollateralUSD)}, debt ${formatUSD(position.totalBorrowsUSD)}, ` +
+      `borrowing power ${formatUSD(position.availableBorrowsUSD)}, eMode ${position.userEmodeCategoryId}`);
+  });
+}
+
+/**
+ * Print the latest stored position of every watched account
+ * @param {string} marketName - aave-address-book market name
+ * @returns {Promise<Object[]>} - Position rows
+ */
+async function showLatestPositions(marketName) {
+  const market = getMarket(marketName);
+  const rows = await getLatestPositions(market.chainId, market.name);
+
+  console.log(`\n=== Latest ${market.name} watchlist positions (${rows.length} accounts) ===`);
+  for (const row of rows) {
+    console.log(`\n${row.user_address} (block ${row.block_number}, ${new Date(parseInt(row.timestamp) * 1000).toISOString()})`);
+    console.log(`Health Factor: ${formatHealthFactor(row.health_factor)}`);
+    console.log(`Collateral: ${formatUSD(row.total_collateral_usd)}`);
+    console.log(`Debt: ${formatUSD(row.total_borrows_usd)}`);
+    console.log(`Borrowing Power: ${formatUSD(row.available_borrows_usd)}`);
+    console.log(`eMode Category: ${row.emode_category_id}`);
+
+    JSON.parse(row.reserves_json).forEach(reserve => {
+      const collateral = reserve.usageAsCollateralEnabled ? ' (collateral)' : '';
+      console.log(`  ${reserve.symbol}: supplied ${formatUSD(reserve.suppliedUSD)}${collateral}, borrowed ${formatUSD(reserve.borrowedUSD)}`);
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Print the health factor history of an account
+ * @param {string} marketName - aave-address-book market name
+ * @param {string} userAddress - Account address
+ * @param {number} limit - Number of blocks to show
+ * @returns {Promise<Object[]>} - Position rows, newest first
+ */
+async function showPositionHistory(marketName, userAddress, limit) {
+  const market = getMarket(marketName);
+  const rows = await getPositionHistory(market.chainId, market.name, userAddress, limit);
+
+  console.log(`\n=== ${userAddress} on ${market.name} (${rows.length} blocks) ===`);
+  console.table(rows.map(row => ({
+    block: parseInt(row.block_number),
+    date: new Date(parseInt(row.timestamp) * 1000).toISOString(),
+    healthFactor: formatHealthFactor(row.health_factor),
+    collateral: formatUSD(row.total_collateral_usd),
+    debt: formatUSD(row.total_borrows_usd)
+  })));
+
+  return rows;
+}
+
+// Helper functions
+function formatHealthFactor(healthFactor) {
+  return healthFactor === null ? '∞ (no debt)' : parseFloat(healthFactor).toFixed(4);
+}
+
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+// Execute the positions command if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'latest';
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+
+  (async () => {
+    try {
+      switch (command) {
+        case 'latest':
+          await showLatestPositions(marketName);
+          break;
+
+        case 'history':
+          if (!args[1] || args[1].startsWith('--')) {
+            throw new Error('history requires an account address');
+          }
+          await showPositionHistory(marketName, args[1], parseInt(args[2]) || 20);
+          break;
+
+        case 'watchlist':
+          console.log(getWatchlist().join('\n') || 'Watchlist is empty');
+          break;
+
+        default:
+          console.log('Usage:');
+          console.log('  node src/positions.js latest [--market name]                     - Latest stored position per watched account');
+          console.log('  node src/positions.js history <address> [limit] [--market name]  - Health factor history of an account');
+          console.log('  node src/positions.js watchlist                                  - Show the configured watchlist');
+          console.log('\nWatched accounts are set with WATCHLIST_ADDRESSES=0x...,0x... and/or');
+          console.log('WATCHLIST_FILE=<JSON array of addresses>; their positions are stored with every indexed block');
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Positions command failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  getWatchlist,
+  fetchWatchlistPositions,
+  printPositions,
+  showLatestPositions,
+  showPositionHistory
+};
@@ -0,0 +1,167 @@
+const {
+  normalize,
+  valueToBigNumber,
+  calculateCompoundedRate,
+  RAY_DECIMALS,
+  SECONDS_PER_YEAR
+} = require('@aave/math-utils');
+const { getTokenMetricsAtBlock, closePool } = require('./db-storage');
+const { getMarket } = require('./markets');
+
+/**
+ * Aave v3 interest rate strategy parameters and the rates they produce
+ * Below the optimal utilization the variable borrow rate rises along
+ * slope1; above it, along the much steeper slope2. Suppliers earn the
+ * borrow interest minus the reserve factor, spread over all supply.
+ */
+
+/**
+ * Extract the rate strategy parameters of a formatted reserve
+ * @param {Object} reserve - Reserve formatted by formatReservesAndIncentives
+ * @returns {Object} - `{ optimalUsageRatio, baseVariableBorrowRate, variableRateSlope1,
+ *   variableRateSlope2 }` as fractions (0.9 = 90%)
+ */
+function getRateModel(reserve) {
+  return {
+    optimalUsageRatio: parseFloat(normalize(reserve.optimalUsageRatio, RAY_DECIMALS)),
+    baseVariableBorrowRate: parseFloat(normalize(reserve.baseVariableBorrowRate, RAY_DECIMALS)),
+    variableRateSlope1: parseFloat(normalize(reserve.variableRateSlope1, RAY_DECIMALS)),
+    variableRateSlope2: parseFloat(normalize(reserve.variableRateSlope2, RAY_DECIMALS))
+  };
+}
+
+/**
+ * Compute the rates a reserve would pay at a hypothetical utilization
+ * APYs compound the APRs per second, as the formatted reserve APYs do.
+ * Unbacked supply is ignored.
+ * @param {Object} token - Token metrics (or any object) with the getRateModel
+ *   fields and `reserveFactor` in percent
+ * @param {number} utilization - Utilization in percent (0-100)
+ * @returns {Object} - `{ utilization, variableBorrowAPR, variableBorrowAPY, supplyAPR,
+ *   supplyAPY }` in percent
+ */
+function calculateRatesAtUtilization(token, utilization) {
+  const usage = valueToBigNumber(Math.min(Math.max(utilization, 0), 100)).div(100);
+  const optimal = valueToBigNumber(token.optimalUsageRatio);
+
+  let borrowRate = valueToBigNumber(token.baseVariableBorrowRate);
+  if (usage.lte(optimal)) {
+    borrowRate = borrowRate.plus(optimal.gt(0) ? usage.div(optimal).times(token.variableRateSlope1) : 0);
+  } else {
+    const excess = usage.minus(optimal).div(valueToBigNumber(1).minus(optimal));
+    borrowRate = borrowRate.plus(token.variableRateSlope1).plus(excess.times(token.variableRateSlope2));
+  }
+
+  const supplyRate = borrowRate.times(usage).times(valueToBigNumber(100).minus(token.reserveFactor).div(100));
+
+  return {
+    utilization,
+    variableBorrowAPR: borrowRate.times(100).toNumber(),
+    variableBorrowAPY: toAPY(borrowRate),
+    supplyAPR: supplyRate.times(100).toNumber(),
+    supplyAPY: toAPY(supplyRate)
+  };
+}
+
+/**
+ * Sample the rate curve of a reserve over the full utilization range
+ * @param {Object} token - As accepted by calculateRatesAtUtilization
+ * @param {number} [steps] - Number of intervals between 0% and 100%
+ * @returns {Object[]} - calculateRatesAtUtilization results, ascending
+ */
+function buildRateCurve(token, steps = 100) {
+  return Array.from({ length: steps + 1 }, (_, step) => calculateRatesAtUtilization(token, step * 100 / steps));
+}
+
+/**
+ * Check whether token metrics carry a rate model
+ * Snapshots taken before the model was captured do not.
+ * @param {Object} token - Token metrics
+ * @returns {boolean} - True when every rate model field is present
+ */
+function hasRateModel(token) {
+  return ['optimalUsageRatio', 'baseVariableBorrowRate', 'variableRateSlope1', 'variableRateSlope2']
+    .every(field => token[field] !== null && token[field] !== undefined);
+}
+
+// Helper functions
+function toAPY(rate) {
+  const compounded = calculateCompoundedRate({
+    rate: rate.shiftedBy(RAY_DECIMALS).toFixed(0),
+    duration: SECONDS_PER_YEAR
+  });
+  return parseFloat(normalize(compounded, RAY_DECIMALS)) * 100;
+}
+
+function printRates(rows) {
+  console.table(rows.map(rates => ({
+    utilization: `${rates.utilization.toFixed(2)}%`,
+    borrowAPY: `${rates.variableBorrowAPY.toFixed(2)}%`,
+    supplyAPY: `${rates.supplyAPY.toFixed(2)}%`
+  })));
+}
+
+// Execute the calculator if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (marketIndex === -1 || index !== marketIndex + 1));
+  const [symbol, ...utilizations] = positional;
+
+  if (!symbol || utilizations.some(value => isNaN(parseFloat(value)))) {
+    console.log('Usage:');
+    console.log('  node src/rate-model.js <symbol> [utilization% ...] [--market name]');
+    console.log('    Uses the rate model of the latest stored snapshot; without utilizations the');
+    console.log('    curve is printed in 10% steps plus the optimal and current utilization');
+    console.log('\nExample:');
+    console.log('  node src/rate-model.js USDC 85 92 95');
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const market = getMarket(marketName);
+      const rows = await getTokenMetricsAtBlock(market.chainId, market.name);
+      const row = rows.find(candidate => candidate.symbol.toLowerCase() === symbol.toLowerCase());
+      if (!row) {
+        throw new Error(`No ${symbol} reserve in the latest ${market.name} snapshot`);
+      }
+
+      const token = {
+        optimalUsageRatio: row.optimal_usage_ratio,
+        baseVariableBorrowRate: row.base_variable_borrow_rate,
+        variableRateSlope1: row.variable_rate_slope1,
+        variableRateSlope2: row.variable_rate_slope2,
+        reserveFactor: row.reserve_factor
+      };
+      if (!hasRateModel(token)) {
+        throw new Error(`The latest ${row.symbol} snapshot (block ${row.block_number}) has no rate model`);
+      }
+
+      const points = utilizations.length > 0
+        ? utilizations.map(parseFloat)
+        : [...Array.from({ length: 11 }, (_, step) => step * 10), token.optimalUsageRatio * 100, parseFloat(row.utilization_rate)];
+
+      console.log(`\n=== ${row.symbol} rate model at block ${row.block_number} ===`);
+      console.log(`Optimal Utilization: ${(token.optimalUsageRatio * 100).toFixed(2)}%`);
+      console.log(`Base Rate: ${(token.baseVariableBorrowRate * 100).toFixed(2)}%`);
+      console.log(`Slope 1: ${(token.variableRateSlope1 * 100).toFixed(2)}%`);
+      console.log(`Slope 2: ${(token.variableRateSlope2 * 100).toFixed(2)}%`);
+      console.log(`Current Utilization: ${parseFloat(row.utilization_rate).toFixed(2)}%`);
+      printRates([...new Set(points)].sort((a, b) => a - b).map(point => calculateRatesAtUtilization(token, point)));
+    } catch (error) {
+      console.error('Rate calculation failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  getRateModel,
+  calculateRatesAtUtilization,
+  buildRateCurve,
+  hasRateModel
+};
@@ -0,0 +1,87 @@
+const { getRecentBlockHashes, getMarketSnapshot, deleteBlocksAfter } = require('./db-storage');
+
+// Number of stored blocks compared against the chain when looking for the fork point
+const REORG_MAX_DEPTH = parseInt(process.env.REORG_MAX_DEPTH) || 64;
+
+/**
+ * Compare the most recently stored blocks of a market with the canonical
+ * chain and delete any snapshots that belong to orphaned blocks
+ * Every stored block of the window is checked, not just the newest: a run
+ * can store a block of the new fork on top of an orphaned one.
+ * @param {Object} provider - ethers provider
+ * @param {number} chainId - Chain ID of the market
+ * @param {string} marketName - aave-address-book market name
+ * @returns {Promise<Object|null>} - null when the stored chain is canonical,
+ *   otherwise `{ commonAncestor, depth, orphanedBlocks }`
+ */
+async function detectAndRollbackReorg(provider, chainId, marketName) {
+  const storedBlocks = await getRecentBlockHashes(chainId, marketName, REORG_MAX_DEPTH);
+
+  // Rows without a hash predate reorg tracking; treat them and everything below as final
+  const hashless = storedBlocks.findIndex(stored => !stored.blockHash);
+  const trackedBlocks = hashless === -1 ? storedBlocks : storedBlocks.slice(0, hashless);
+
+  const orphanedBlocks = [];
+  let lowestOrphan = -1;
+
+  for (const [index, stored] of trackedBlocks.entries()) {
+    if (!await isCanonical(provider, stored)) {
+      orphanedBlocks.push(stored.blockNumber);
+      lowestOrphan = index;
+    }
+  }
+
+  if (lowestOrphan === -1) {
+    return null;
+  }
+
+  // The stored block below the lowest orphan is canonical (or final)
+  let commonAncestor;
+  if (lowestOrphan + 1 < storedBlocks.length) {
+    commonAncestor = storedBlocks[lowestOrphan + 1].blockNumber;
+  } else if (storedBlocks.length === REORG_MAX_DEPTH) {
+    throw new Error(`Reorg deeper than the last ${REORG_MAX_DEPTH} stored blocks of ${marketName}; manual intervention required`);
+  } else {
+    // Every stored block up to the oldest was orphaned
+    commonAncestor = storedBlocks[lowestOrphan].blockNumber - 1;
+  }
+
+  const depth = storedBlocks[0].blockNumber - commonAncestor;
+  console.warn(`\n!!! Chain reorganization detected on ${marketName}: depth ${depth} blocks, ` +
+    `${orphanedBlocks.length} stored snapshots orphaned (${orphanedBlocks.join(', ')})`);
+
+  await deleteBlocksAfter(chainId, marketName, commonAncestor);
+  console.warn(`Rolled back to block ${commonAncestor}; orphaned blocks will be re-indexed`);
+
+  return { commonAncestor, depth, orphanedBlocks };
+}
+
+/**
+ * Check that a snapshot extends the stored chain of its market
+ * Only the directly preceding block is compared, so this catches a fork
+ * switch between consecutive blocks of one run; sparser gaps are left to
+ * detectAndRollbackReorg.
+ * @param {number} chainId - Chain ID of the market
+ * @param {string} marketName - aave-address-book market name
+ * @param {Object} metricsData - Snapshot as built by buildMetricsSnapshot
+ * @returns {Promise<boolean>} - false when the previous block is stored with
+ *   a hash other than the snapshot's parent hash
+ */
+async function extendsStoredChain(chainId, marketName, metricsData) {
+  const parent = await getMarketSnapshot(chainId, marketName, metricsData.blockNumber - 1);
+
+  if (!parent || !parent.block_hash || !metricsData.parentHash) {
+    return true;
+  }
+  return parent.block_hash === metricsData.parentHash;
+}
+
+async function isCanonical(provider, stored) {
+  const block = await provider.getBlock(stored.blockNumber);
+  return Boolean(block) && block.hash === stored.blockHash;
+}
+
+module.exports = {
+  detectAndRollbackReorg,
+  extendsStoredChain
+};
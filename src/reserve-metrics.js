@@ -0,0 +1,450 @@
+const { UiPoolDataProvider, UiIncentiveDataProvider } = require('@aave/contract-helpers');
+const { formatReservesAndIncentives, formatUserSummary, valueToBigNumber, USD_DECIMALS } = require('@aave/math-utils');
+const { getRateModel } = require('./rate-model');
+
+/**
+ * Shared core that turns Aave UI data provider output into metrics snapshots
+ * Every entry point (live indexer, historical fetches, backfills) goes through
+ * these functions so snapshots of the same block are identical.
+ * Amounts, USD values, caps and prices are exact decimal strings; ratios such
+ * as utilization and APYs are plain numbers.
+ */
+
+// Decimal places kept for USD values, matching the NUMERIC(36,18) columns
+const USD_VALUE_DECIMALS = 18;
+
+/**
+ * Fetch raw reserves and incentives data for a market
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - aave-address-book market addresses
+ * @param {number} chainId - Chain ID of the market
+ * @param {number} [blockNumber] - Block to read at (latest when omitted)
+ * @returns {Promise<Object>} - `{ reserves, reserveIncentives, eModes }`
+ */
+async function fetchMarketReserves(provider, addresses, chainId, blockNumber) {
+  const blockProvider = blockNumber ? pinProviderToBlock(provider, blockNumber) : provider;
+  const poolDataProviderContract = createPoolDataProvider(blockProvider, addresses, chainId);
+
+  const incentiveDataProviderContract = new UiIncentiveDataProvider({
+    uiIncentiveDataProviderAddress: addresses.UI_INCENTIVE_DATA_PROVIDER,
+    provider: blockProvider,
+    chainId,
+  });
+
+  const reserves = await poolDataProviderContract.getReservesHumanized({
+    lendingPoolAddressProvider: addresses.POOL_ADDRESSES_PROVIDER,
+  });
+
+  const reserveIncentives = await incentiveDataProviderContract.getReservesIncentivesDataHumanized({
+    lendingPoolAddressProvider: addresses.POOL_ADDRESSES_PROVIDER,
+  });
+
+  const eModes = await fetchEModes(poolDataProviderContract, addresses);
+
+  return { reserves, reserveIncentives, eModes };
+}
+
+/**
+ * Fetch the eMode categories of a market
+ * UI data providers older than Aave v3.2 have no getEModes; their markets
+ * are reported without categories rather than failing.
+ * @param {Object} poolDataProviderContract - contract-helpers UiPoolDataProvider
+ * @param {Object} addresses - aave-address-book market addresses
+ * @returns {Promise<Array>} - getEModesHumanized response, or [] when unsupported
+ */
+async function fetchEModes(poolDataProviderContract, addresses) {
+  try {
+    return await poolDataProviderContract.getEModesHumanized({
+      lendingPoolAddressProvider: addresses.POOL_ADDRESSES_PROVIDER,
+    });
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch the raw reserve positions of accounts at a block
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - aave-address-book market addresses
+ * @param {number} chainId - Chain ID of the market
+ * @param {string[]} users - Account addresses
+ * @param {number} [blockNumber] - Block to read at (latest when omitted)
+ * @returns {Promise<Array>} - `{ user, userReserves, userEmodeCategoryId }` per account
+ */
+async function fetchUserPositions(provider, addresses, chainId, users, blockNumber) {
+  const blockProvider = blockNumber ? pinProviderToBlock(provider, blockNumber) : provider;
+  const poolDataProviderContract = createPoolDataProvider(blockProvider, addresses, chainId);
+
+  return Promise.all(users.map(async (user) => {
+    const { userReserves, userEmodeCategoryId } = await poolDataProviderContract.getUserReservesHumanized({
+      lendingPoolAddressProvider: addresses.POOL_ADDRESSES_PROVIDER,
+      user,
+    });
+    return { user: user.toLowerCase(), userReserves, userEmodeCategoryId };
+  }));
+}
+
+/**
+ * Wrap a provider so contract calls without an explicit block tag read at a
+ * fixed block
+ * The contract-helpers *Humanized methods take no call overrides, so this is
+ * the only way to read them at a historical block.
+ * @param {Object} provider - ethers provider
+ * @param {number} blockNumber - Block to read at
+ * @returns {Object} - Provider reading eth_call at `blockNumber`
+ */
+function pinProviderToBlock(provider, blockNumber) {
+  const pinned = Object.create(provider);
+  pinned.call = (transaction, blockTag) => provider.call(
+    transaction,
+    blockTag === undefined || blockTag === 'latest' ? blockNumber : blockTag
+  );
+  return pinned;
+}
+
+/**
+ * Fetch the USD price and decimals of every reserve of a market at a block
+ * Only reads the pool data provider, for callers that just need to value
+ * token amounts (e.g. Pool events) the same way as tokenMetrics.
+ * @param {Object} provider - ethers provider
+ * @param {Object} addresses - aave-address-book market addresses
+ * @param {number} chainId - Chain ID of the market
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<Map>} - Lowercase reserve address → `{ symbol, decimals, priceInUSD }`
+ */
+async function fetchReservePrices(provider, addresses, chainId, blockNumber) {
+  const blockProvider = pinProviderToBlock(provider, blockNumber);
+  const reserves = await createPoolDataProvider(blockProvider, addresses, chainId).getReservesHumanized({
+    lendingPoolAddressProvider: addresses.POOL_ADDRESSES_PROVIDER,
+  });
+
+  return getReservePrices(reserves);
+}
+
+/**
+ * Index the USD prices of a getReservesHumanized response by reserve address
+ * @param {Object} reserves - getReservesHumanized response
+ * @returns {Map} - Lowercase reserve address → `{ symbol, decimals, priceInUSD }`,
+ *   with priceInUSD as a BigNumber
+ */
+function getReservePrices(reserves) {
+  return new Map(reserves.reservesData.map(reserve => [
+    reserve.underlyingAsset.toLowerCase(),
+    {
+      symbol: reserve.symbol,
+      decimals: reserve.decimals,
+      priceInUSD: getPriceInUSD(reserve, reserves.baseCurrencyData)
+    }
+  ]));
+}
+
+/**
+ * Get the decimals of priceInMarketReferenceCurrency × marketReferenceCurrencyPriceInUsd
+ * Both factors are fixed-point: the reference currency price has
+ * `marketReferenceCurrencyDecimals` decimals and its USD price has USD_DECIMALS.
+ * @param {Object} baseCurrencyData - `baseCurrencyData` of getReservesHumanized
+ * @returns {number} - Price decimals
+ */
+function getPriceDecimals(baseCurrencyData) {
+  return baseCurrencyData.marketReferenceCurrencyDecimals + USD_DECIMALS;
+}
+
+/**
+ * Get the exact USD price of a reserve
+ * @param {Object} reserve - Reserve from getReservesHumanized
+ * @param {Object} baseCurrencyData - `baseCurrencyData` of getReservesHumanized
+ * @returns {BigNumber} - USD price
+ */
+function getPriceInUSD(reserve, baseCurrencyData) {
+  return valueToBigNumber(reserve.priceInMarketReferenceCurrency)
+    .times(baseCurrencyData.marketReferenceCurrencyPriceInUsd)
+    .shiftedBy(-getPriceDecimals(baseCurrencyData));
+}
+
+/**
+ * Turn getReservesHumanized output into per-token metrics
+ * @param {Object} reserves - getReservesHumanized response
+ * @param {Array} reserveIncentives - getReservesIncentivesDataHumanized response
+ * @param {number} timestamp - Block timestamp used for interest accrual
+ * @param {Array} [eModes] - getEModesHumanized response
+ * @returns {Object} - `{ formattedReserves, tokenMetrics }`
+ */
+function buildTokenMetrics(reserves, reserveIncentives, timestamp, eModes = []) {
+  const { baseCurrencyData } = reserves;
+
+  // Format reserves data with incentives
+  const formattedReserves = formatReservesAndIncentives({
+    reserves: reserves.reservesData,
+    currentTimestamp: timestamp,
+    marketReferenceCurrencyDecimals: baseCurrencyData.marketReferenceCurrencyDecimals,
+    marketReferencePriceInUsd: baseCurrencyData.marketReferenceCurrencyPriceInUsd,
+    reserveIncentives,
+    eModes,
+  });
+
+  // Extract metrics for each token
+  const tokenMetrics = formattedReserves.map(reserve => {
+    // Convert price from the fixed-point reference currency to USD
+    const priceInUSD = getPriceInUSD(reserve, baseCurrencyData);
+
+    // Calculate liquidity (Supplied - Borrowed)
+    const totalSupplied = valueToBigNumber(reserve.totalLiquidity);
+    const totalBorrowed = valueToBigNumber(reserve.totalDebt);
+    const liquidity = totalSupplied.minus(totalBorrowed);
+
+    const supplyAPY = parseFloat(reserve.supplyAPY) * 100;
+    const variableBorrowAPY = parseFloat(reserve.variableBorrowAPY) * 100;
+    const supplyIncentives = getIncentives('supply', reserve.aIncentivesData);
+    const borrowIncentives = getIncentives('borrow', reserve.vIncentivesData);
+
+    return {
+      token: reserve.name,
+      symbol: reserve.symbol,
+      underlyingAsset: reserve.underlyingAsset,
+      // 1. Price on that block (converted from the reference currency)
+      priceInUSD: toUSDString(priceInUSD),
+      // 2. Liquidity (Supplied - Borrowed)
+      liquidity: liquidity.toFixed(),
+      liquidityUSD: toUSDString(liquidity.times(priceInUSD)),
+      totalSupplied: totalSupplied.toFixed(),
+      totalSuppliedUSD: toUSDString(totalSupplied.times(priceInUSD)),
+      totalBorrowed: totalBorrowed.toFixed(),
+      totalBorrowedUSD: toUSDString(totalBorrowed.times(priceInUSD)),
+      // 3. Utilization rate
+      utilizationRate: toPercentage(totalBorrowed, totalSupplied),
+      // 4. Reserves
+      reserves: reserve.reserves !== undefined ? valueToBigNumber(reserve.reserves).toFixed() : null,
+      // 5. Reserve factor
+      reserveFactor: parseFloat(reserve.reserveFactor) * 100,
+      // 6. Liquidation threshold
+      liquidationThreshold: parseFloat(reserve.formattedReserveLiquidationThreshold),
+      // 7. Borrow Enabled
+      borrowEnabled: reserve.borrowingEnabled,
+      // 8. Supply Cap
+      supplyCap: valueToBigNumber(reserve.supplyCap).toFixed(),
+      // 9. Borrow Cap
+      borrowCap: valueToBigNumber(reserve.borrowCap).toFixed(),
+      // 10. Cap usage and remaining capacity (null when the reserve has no cap)
+      ...getCapUsage('supplyCap', totalSupplied, reserve.supplyCap, priceInUSD),
+      ...getCapUsage('borrowCap', totalBorrowed, reserve.borrowCap, priceInUSD),
+      // Additional useful metrics
+      supplyAPY,
+      variableBorrowAPY,
+      stableBorrowAPY: parseFloat(reserve.stableBorrowAPY) * 100,
+      // Reward emissions per reward token; rewards add to the supply yield
+      // and offset the borrow cost
+      ...supplyIncentives,
+      ...borrowIncentives,
+      netSupplyAPY: supplyAPY + supplyIncentives.supplyIncentiveAPR,
+      netBorrowAPY: variableBorrowAPY - borrowIncentives.borrowIncentiveAPR,
+      // Interest rate strategy parameters behind the APYs
+      ...getRateModel(reserve),
+      // Reserve configuration
+      loanToValue: parseFloat(reserve.formattedBaseLTVasCollateral),
+      liquidationBonus: parseFloat(reserve.formattedReserveLiquidationBonus),
+      eModeCategories: reserve.eModes.map(({ id, collateralEnabled, borrowingEnabled, eMode }) => ({
+        id,
+        label: eMode.label,
+        collateralEnabled,
+        borrowingEnabled,
+        loanToValue: parseFloat(eMode.formattedLtv),
+        liquidationThreshold: parseFloat(eMode.formattedLiquidationThreshold),
+        liquidationBonus: parseFloat(eMode.formattedLiquidationBonus)
+      })),
+      isIsolated: reserve.isIsolated,
+      debtCeilingUSD: valueToBigNumber(reserve.debtCeilingUSD).toFixed(),
+      isolationModeTotalDebtUSD: valueToBigNumber(reserve.isolationModeTotalDebtUSD).toFixed(),
+      isFrozen: reserve.isFrozen,
+      isPaused: reserve.isPaused,
+      isSiloedBorrowing: reserve.isSiloedBorrowing,
+      flashLoanEnabled: reserve.flashLoanEnabled,
+      aTokenAddress: reserve.aTokenAddress,
+      variableDebtTokenAddress: reserve.variableDebtTokenAddress,
+      interestRateStrategyAddress: reserve.interestRateStrategyAddress,
+    };
+  });
+
+  return { formattedReserves, tokenMetrics };
+}
+
+/**
+ * Build a complete metrics snapshot for a block
+ * @param {Object} params - Snapshot inputs
+ * @param {Object} params.reserves - getReservesHumanized response
+ * @param {Array} params.reserveIncentives - getReservesIncentivesDataHumanized response
+ * @param {Object} params.block - ethers block the data was read at
+ * @param {string} params.network - Network display name
+ * @param {number} params.chainId - Chain ID of the market
+ * @param {string} params.market - aave-address-book market name
+ * @param {Array} [params.eModes] - getEModesHumanized response
+ * @param {Array} [params.userPositions] - fetchUserPositions response; adds `positions`
+ * @returns {Object} - Metrics snapshot
+ */
+function buildMetricsSnapshot({ reserves, reserveIncentives, eModes, block, network, chainId, market, userPositions }) {
+  const { formattedReserves, tokenMetrics } = buildTokenMetrics(reserves, reserveIncentives, block.timestamp, eModes);
+
+  // Market totals are exact sums of the token USD values
+  const totalMarketSize = sumTokenValues(tokenMetrics, 'totalSuppliedUSD');
+  const totalBorrows = sumTokenValues(tokenMetrics, 'totalBorrowedUSD');
+
+  return {
+    network,
+    chainId,
+    market,
+    blockNumber: block.number,
+    blockHash: block.hash,
+    parentHash: block.parentHash,
+    timestamp: block.timestamp,
+    date: new Date(block.timestamp * 1000).toISOString(),
+    totalMarketSize: totalMarketSize.toFixed(),
+    totalAvailable: totalMarketSize.minus(totalBorrows).toFixed(),
+    totalBorrows: totalBorrows.toFixed(),
+    averageUtilization: toPercentage(totalBorrows, totalMarketSize),
+    tokenCount: tokenMetrics.length,
+    tokenMetrics,
+    ...(userPositions && {
+      positions: buildUserPositions(formattedReserves, reserves.baseCurrencyData, userPositions, block.timestamp)
+    })
+  };
+}
+
+/**
+ * Summarize account positions with formatUserSummary
+ * @param {Array} formattedReserves - Reserves formatted by buildTokenMetrics
+ * @param {Object} baseCurrencyData - `baseCurrencyData` of getReservesHumanized
+ * @param {Array} userPositions - fetchUserPositions response
+ * @param {number} timestamp - Block timestamp used for interest accrual
+ * @returns {Array} - Position summaries; healthFactor is null without debt
+ */
+function buildUserPositions(formattedReserves, baseCurrencyData, userPositions, timestamp) {
+  return userPositions.map(({ user, userReserves, userEmodeCategoryId }) => {
+    const summary = formatUserSummary({
+      currentTimestamp: timestamp,
+      marketReferencePriceInUsd: baseCurrencyData.marketReferenceCurrencyPriceInUsd,
+      marketReferenceCurrencyDecimals: baseCurrencyData.marketReferenceCurrencyDecimals,
+      userReserves,
+      formattedReserves,
+      userEmodeCategoryId,
+    });
+
+    return {
+      user,
+      // formatUserSummary reports -1 for accounts without debt
+      healthFactor: valueToBigNumber(summary.healthFactor).lt(0) ? null : summary.healthFactor,
+      totalCollateralUSD: toUSDString(valueToBigNumber(summary.totalCollateralUSD)),
+      totalBorrowsUSD: toUSDString(valueToBigNumber(summary.totalBorrowsUSD)),
+      availableBorrowsUSD: toUSDString(valueToBigNumber(summary.availableBorrowsUSD)),
+      currentLiquidationThreshold: parseFloat(summary.currentLiquidationThreshold),
+      currentLoanToValue: parseFloat(summary.currentLoanToValue),
+      userEmodeCategoryId,
+      reserves: summary.userReservesData
+        .filter(userReserve => valueToBigNumber(userReserve.underlyingBalance).gt(0) || valueToBigNumber(userReserve.totalBorrows).gt(0))
+        .map(userReserve => ({
+          symbol: userReserve.reserve.symbol,
+          underlyingAsset: userReserve.underlyingAsset,
+          supplied: userReserve.underlyingBalance,
+          suppliedUSD: toUSDString(valueToBigNumber(userReserve.underlyingBalanceUSD)),
+          borrowed: userReserve.totalBorrows,
+          borrowedUSD: toUSDString(valueToBigNumber(userReserve.totalBorrowsUSD)),
+          usageAsCollateralEnabled: userReserve.usageAsCollateralEnabledOnUser
+        }))
+    };
+  });
+}
+
+// Helper functions
+function createPoolDataProvider(provider, addresses, chainId) {
+  return new UiPoolDataProvider({
+    uiPoolDataProviderAddress: addresses.UI_POOL_DATA_PROVIDER,
+    provider,
+    chainId,
+  });
+}
+
+/**
+ * Format a USD BigNumber as an exact decimal string with USD_VALUE_DECIMALS
+ * @param {BigNumber} value - USD value
+ * @returns {string} - Decimal string
+ */
+function toUSDString(value) {
+  return value.decimalPlaces(USD_VALUE_DECIMALS).toFixed();
+}
+
+/**
+ * Relate a reserve total to its cap
+ * A cap of 0 means the reserve is uncapped. Totals can exceed a cap as
+ * interest accrues, so the remaining capacity never goes below zero.
+ * @param {string} prefix - Field name prefix, `supplyCap` or `borrowCap`
+ * @param {BigNumber} total - Total supplied or borrowed, in tokens
+ * @param {string} cap - Cap in whole tokens
+ * @param {BigNumber} priceInUSD - USD price of the token
+ * @returns {Object} - `<prefix>Usage` percentage, `<prefix>Remaining` and
+ *   `<prefix>RemainingUSD` exact decimal strings; all null without a cap
+ */
+function getCapUsage(prefix, total, cap, priceInUSD) {
+  const capAmount = valueToBigNumber(cap);
+  if (!capAmount.gt(0)) {
+    return {
+      [`${prefix}Usage`]: null,
+      [`${prefix}Remaining`]: null,
+      [`${prefix}RemainingUSD`]: null
+    };
+  }
+
+  const remaining = capAmount.minus(total);
+  const clampedRemaining = remaining.gt(0) ? remaining : valueToBigNumber(0);
+
+  return {
+    [`${prefix}Usage`]: toPercentage(total, capAmount),
+    [`${prefix}Remaining`]: clampedRemaining.toFixed(),
+    [`${prefix}RemainingUSD`]: toUSDString(clampedRemaining.times(priceInUSD))
+  };
+}
+
+/**
+ * Break out the incentive APRs of a reserve side by reward token
+ * @param {string} side - 'supply' (aToken rewards) or 'borrow' (variable debt token rewards)
+ * @param {Array} [incentivesData] - aIncentivesData or vIncentivesData of a formatted reserve
+ * @returns {Object} - `<side>Incentives` list of `{ rewardTokenSymbol, rewardTokenAddress,
+ *   incentiveAPR }` and their `<side>IncentiveAPR` total, in percent
+ */
+function getIncentives(side, incentivesData = []) {
+  const incentives = incentivesData.map(({ rewardTokenSymbol, rewardTokenAddress, incentiveAPR }) => {
+    // Emissions over a zero supply or debt come out infinite; nobody earns them
+    const apr = valueToBigNumber(incentiveAPR);
+    return {
+      rewardTokenSymbol,
+      rewardTokenAddress,
+      incentiveAPR: apr.isFinite() ? apr.times(100).toNumber() : 0
+    };
+  });
+
+  return {
+    [`${side}Incentives`]: incentives,
+    [`${side}IncentiveAPR`]: incentives.reduce((total, incentive) => total + incentive.incentiveAPR, 0)
+  };
+}
+
+function toPercentage(numerator, denominator) {
+  return denominator.gt(0) ? numerator.div(denominator).times(100).toNumber() : 0;
+}
+
+function sumTokenValues(tokenMetrics, field) {
+  return tokenMetrics.reduce((total, token) => total.plus(token[field]), valueToBigNumber(0));
+}
+
+module.exports = {
+  fetchMarketReserves,
+  fetchReservePrices,
+  fetchUserPositions,
+  getReservePrices,
+  pinProviderToBlock,
+  getPriceDecimals,
+  getPriceInUSD,
+  toUSDString,
+  buildTokenMetrics,
+  buildMetricsSnapshot
+};
@@ -0,0 +1,440 @@
+const { valueToBigNumber } = require('@aave/math-utils');
+const {
+  initializeDatabase,
+  getMarketSnapshot,
+  getStoredBlockNumbers,
+  getTokenMetricsAtBlock,
+  getSnapshotsInRange,
+  getAdjacentSnapshot,
+  getSnapshotPeriodStarts,
+  getRollupWatermark,
+  storeRollups,
+  getRollupsInRange,
+  getMarketRollups,
+  getTokenRollups,
+  closePool
+} = require('./db-storage');
+const { getMarket } = require('./markets');
+
+// Rollup period lengths in seconds; periods start at UTC hour/day boundaries
+const ROLLUP_PERIODS = {
+  hour: 3600,
+  day: 86400
+};
+
+/**
+ * Hourly and daily aggregates of the stored snapshots
+ * Prices and utilization get open/high/low/close over the period's snapshots;
+ * APYs are time-weighted, each value holding until the next snapshot (the
+ * last snapshot before the period carries into its start). The still-open
+ * period is only weighted up to its latest snapshot. TVL is the closing value.
+ * Hours are built from the snapshots and days from the hours.
+ */
+
+/**
+ * Bring the rollups of a market up to date with the stored snapshots
+ * Every hour from the one holding the last rolled-up block onwards is rebuilt,
+ * so the run is incremental and picks up where a reorg rollback left off.
+ * @param {string} marketName - aave-address-book market name
+ * @returns {Promise<Object>} - `{ hours, days }` numbers of periods rebuilt
+ */
+async function updateRollups(marketName) {
+  const market = getMarket(marketName);
+  const watermark = await getRollupWatermark(market.chainId, market.name);
+  const watermarkSnapshot = watermark !== null ? await getMarketSnapshot(market.chainId, market.name, watermark) : null;
+  const fromTimestamp = watermarkSnapshot ? toPeriodStart(Number(watermarkSnapshot.timestamp), 'hour') : 0;
+
+  const hours = await getSnapshotPeriodStarts(market.chainId, market.name, ROLLUP_PERIODS.hour, fromTimestamp);
+  return rollupHours(market, hours);
+}
+
+/**
+ * Rebuild the rollups of the periods holding a range of stored blocks
+ * updateRollups only moves forward from its watermark, so snapshots stored
+ * behind it, e.g. by a backfill, are rolled up here. The first hour with
+ * snapshots after the range is rebuilt too, because the last snapshot of
+ * the range carries into it.
+ * @param {string} marketName - aave-address-book market name
+ * @param {number} startBlock - First block of the range
+ * @param {number} endBlock - Last block of the range
+ * @returns {Promise<Object>} - `{ hours, days }` numbers of periods rebuilt
+ */
+async function rebuildRollups(marketName, startBlock, endBlock) {
+  const market = getMarket(marketName);
+
+  // Before the first update there is no watermark to fall behind
+  if (await getRollupWatermark(market.chainId, market.name) === null) {
+    return updateRollups(marketName);
+  }
+
+  const blocks = [...await getStoredBlockNumbers(market.chainId, market.name, startBlock, endBlock)];
+  if (blocks.length === 0) {
+    return { hours: 0, days: 0 };
+  }
+
+  const firstSnapshot = await getMarketSnapshot(market.chainId, market.name, blocks.reduce((a, b) => Math.min(a, b)));
+  const lastSnapshot = await getMarketSnapshot(market.chainId, market.name, blocks.reduce((a, b) => Math.max(a, b)));
+  const lastHour = toPeriodStart(Number(lastSnapshot.timestamp), 'hour');
+
+  const hours = await getSnapshotPeriodStarts(
+    market.chainId, market.name, ROLLUP_PERIODS.hour, toPeriodStart(Number(firstSnapshot.timestamp), 'hour')
+  );
+  const nextHour = hours.find(hourStart => hourStart > lastHour);
+
+  return rollupHours(market, [
+    ...hours.filter(hourStart => hourStart <= lastHour),
+    ...(nextHour !== undefined ? [nextHour] : [])
+  ]);
+}
+
+/**
+ * Rebuild a set of hours and the days holding them
+ * @param {Object} market - getMarket result
+ * @param {number[]} hours - Hour starts (unix seconds), ascending
+ * @returns {Promise<Object>} - `{ hours, days }` numbers of periods rebuilt
+ */
+async function rollupHours(market, hours) {
+  for (const hourStart of hours) {
+    await rollupHour(market, hourStart);
+  }
+
+  const days = [...new Set(hours.map(hourStart => toPeriodStart(hourStart, 'day')))];
+  for (const dayStart of days) {
+    await rollupDay(market, dayStart);
+  }
+
+  if (hours.length > 0) {
+    console.log(`✓ Rolled up ${hours.length} hours and ${days.length} days of ${market.name}`);
+  }
+  return { hours: hours.length, days: days.length };
+}
+
+/**
+ * Aggregate the snapshots of one hour
+ * @param {Object} market - getMarket result
+ * @param {number} hourStart - Hour start (unix seconds)
+ * @returns {Promise<void>}
+ */
+async function rollupHour(market, hourStart) {
+  const hourEnd = hourStart + ROLLUP_PERIODS.hour;
+  const { snapshots, tokens } = await getSnapshotsInRange(market.chainId, market.name, hourStart, hourEnd);
+  if (snapshots.length === 0) {
+    return;
+  }
+
+  // The previous snapshot's values hold until the first one of the hour
+  const previous = await getAdjacentSnapshot(market.chainId, market.name, hourStart, 'before');
+  const carried = previous ? await getTokenMetricsAtBlock(market.chainId, market.name, previous.block_number) : [];
+
+  // A later snapshot closes the hour; otherwise it ends at its latest snapshot
+  const next = await getAdjacentSnapshot(market.chainId, market.name, hourEnd, 'after');
+  const closedAt = next ? hourEnd : Number(snapshots[snapshots.length - 1].timestamp);
+
+  const tokenRollups = [...groupBy(tokens, row => row.reserve_address)].map(([reserveAddress, rows]) => {
+    const carry = carried.find(row => row.reserve_address === reserveAddress);
+    const samples = [...(carry ? [{ ...carry, timestamp: hourStart }] : []), ...rows];
+    const last = rows[rows.length - 1];
+    const supplyAPY = timeWeightedAverage(samples, 'supply_apy', hourStart, closedAt, rows);
+    const borrowAPY = timeWeightedAverage(samples, 'borrow_apy', hourStart, closedAt, rows);
+
+    return {
+      reserveAddress,
+      symbol: last.symbol,
+      firstBlock: Number(rows[0].block_number),
+      lastBlock: Number(last.block_number),
+      sampleCount: rows.length,
+      ...getPriceOHLC(rows.map(row => row.price_usd)),
+      ...getOHLC('utilization', rows.map(row => parseFloat(row.utilization_rate))),
+      supplyAPYTwa: supplyAPY.value,
+      borrowAPYTwa: borrowAPY.value,
+      twaSeconds: supplyAPY.seconds,
+      totalSuppliedUSDClose: last.total_supplied_usd,
+      totalBorrowedUSDClose: last.total_borrowed_usd
+    };
+  });
+
+  const lastSnapshot = snapshots[snapshots.length - 1];
+  await storeRollups({
+    chainId: market.chainId,
+    market: market.name,
+    period: 'hour',
+    periodStart: hourStart,
+    marketRollup: {
+      firstBlock: Number(snapshots[0].block_number),
+      lastBlock: Number(lastSnapshot.block_number),
+      sampleCount: snapshots.length,
+      ...getOHLC('utilization', snapshots.map(row => parseFloat(row.average_utilization))),
+      totalMarketSizeClose: lastSnapshot.total_market_size,
+      totalAvailableClose: lastSnapshot.total_available,
+      totalBorrowsClose: lastSnapshot.total_borrows
+    },
+    tokenRollups
+  });
+}
+
+/**
+ * Aggregate the hourly rollups of one day
+ * @param {Object} market - getMarket result
+ * @param {number} dayStart - Day start (unix seconds, UTC midnight)
+ * @returns {Promise<void>}
+ */
+async function rollupDay(market, dayStart) {
+  const { markets, tokens } = await getRollupsInRange(
+    market.chainId, market.name, 'hour', dayStart, dayStart + ROLLUP_PERIODS.day
+  );
+  if (markets.length === 0) {
+    return;
+  }
+
+  const tokenRollups = [...groupBy(tokens, row => row.reserve_address)].map(([reserveAddress, hours]) => {
+    const last = hours[hours.length - 1];
+    const twaSeconds = hours.reduce((total, hour) => total + Number(hour.twa_seconds), 0);
+
+    return {
+      reserveAddress,
+      symbol: last.symbol,
+      ...mergePeriods(hours),
+      ...mergePriceOHLC(hours),
+      ...mergeOHLC('utilization', hours),
+      supplyAPYTwa: weightedAverage(hours, 'supply_apy_twa'),
+      borrowAPYTwa: weightedAverage(hours, 'borrow_apy_twa'),
+      twaSeconds,
+      totalSuppliedUSDClose: last.total_supplied_usd_close,
+      totalBorrowedUSDClose: last.total_borrowed_usd_close
+    };
+  });
+
+  const lastHour = markets[markets.length - 1];
+  await storeRollups({
+    chainId: market.chainId,
+    market: market.name,
+    period: 'day',
+    periodStart: dayStart,
+    marketRollup: {
+      ...mergePeriods(markets),
+      ...mergeOHLC('utilization', markets),
+      totalMarketSizeClose: lastHour.total_market_size_close,
+      totalAvailableClose: lastHour.total_available_close,
+      totalBorrowsClose: lastHour.total_borrows_close
+    },
+    tokenRollups
+  });
+}
+
+/**
+ * Print the stored rollups of a market, or of one of its reserves
+ * @param {string} marketName - aave-address-book market name
+ * @param {string} period - 'hour' or 'day'
+ * @param {string|null} reserve - Reserve address or symbol, or null for market totals
+ * @param {number} limit - Number of most recent periods to show
+ * @returns {Promise<Object[]>} - Rollup rows, oldest first
+ */
+async function showRollups(marketName, period, reserve, limit) {
+  const market = getMarket(marketName);
+  const query = (options) => reserve
+    ? getTokenRollups(market.chainId, market.name, reserve, period, options)
+    : getMarketRollups(market.chainId, market.name, period, options);
+
+  // Page from the end so the most recent periods are shown
+  const { total } = await query({ limit: 1 });
+  const { rows } = await query({ limit, offset: Math.max(total - limit, 0) });
+
+  console.log(`\n=== ${reserve || market.name} ${period === 'day' ? 'daily' : 'hourly'} rollups (${rows.length} of ${total}) ===`);
+  console.table(rows.map(row => ({
+    period: new Date(Number(row.period_start) * 1000).toISOString(),
+    blocks: `${row.first_block}-${row.last_block}`,
+    ...(reserve
+      ? {
+        price: `${formatPrice(row.price_open)} / ${formatPrice(row.price_high)} / ${formatPrice(row.price_low)} / ${formatPrice(row.price_close)}`,
+        supplyAPY: `${parseFloat(row.supply_apy_twa).toFixed(2)}%`,
+        borrowAPY: `${parseFloat(row.borrow_apy_twa).toFixed(2)}%`,
+        suppliedUSD: formatUSD(row.total_supplied_usd_close)
+      }
+      : {
+        marketSizeUSD: formatUSD(row.total_market_size_close),
+        borrowsUSD: formatUSD(row.total_borrows_close)
+      }),
+    utilization: `${parseFloat(row.utilization_open).toFixed(2)} / ${parseFloat(row.utilization_high).toFixed(2)} / ${parseFloat(row.utilization_low).toFixed(2)} / ${parseFloat(row.utilization_close).toFixed(2)}%`
+  })));
+
+  return rows;
+}
+
+// Helper functions
+function toPeriodStart(timestamp, period) {
+  return timestamp - (timestamp % ROLLUP_PERIODS[period]);
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(key(row))) groups.set(key(row), []);
+    groups.get(key(row)).push(row);
+  });
+  return groups;
+}
+
+function getOHLC(prefix, values) {
+  return {
+    [`${prefix}Open`]: values[0],
+    [`${prefix}High`]: Math.max(...values),
+    [`${prefix}Low`]: Math.min(...values),
+    [`${prefix}Close`]: values[values.length - 1]
+  };
+}
+
+// Prices are exact decimal strings; snapshots without a price are skipped
+function getPriceOHLC(prices) {
+  const known = prices.filter(price => price !== null).map(price => valueToBigNumber(price));
+  if (known.length === 0) {
+    return { priceOpen: null, priceHigh: null, priceLow: null, priceClose: null };
+  }
+
+  return {
+    priceOpen: known[0].toFixed(),
+    priceHigh: known.reduce((high, price) => (price.gt(high) ? price : high)).toFixed(),
+    priceLow: known.reduce((low, price) => (price.lt(low) ? price : low)).toFixed(),
+    priceClose: known[known.length - 1].toFixed()
+  };
+}
+
+// Each sample holds from its timestamp until the next sample (or `closedAt`);
+// without any elapsed time the period's own samples are averaged
+function timeWeightedAverage(samples, field, periodStart, closedAt, periodRows) {
+  let weighted = 0;
+  let seconds = 0;
+
+  samples.forEach((sample, index) => {
+    const from = Math.max(Number(sample.timestamp), periodStart);
+    const to = index + 1 < samples.length ? Number(samples[index + 1].timestamp) : closedAt;
+    const duration = Math.max(to - from, 0);
+    weighted += parseFloat(sample[field]) * duration;
+    seconds += duration;
+  });
+
+  if (seconds === 0) {
+    return { value: periodRows.reduce((sum, row) => sum + parseFloat(row[field]), 0) / periodRows.length, seconds };
+  }
+  return { value: weighted / seconds, seconds };
+}
+
+function mergePeriods(rows) {
+  return {
+    firstBlock: Math.min(...rows.map(row => Number(row.first_block))),
+    lastBlock: Math.max(...rows.map(row => Number(row.last_block))),
+    sampleCount: rows.reduce((total, row) => total + Number(row.sample_count), 0)
+  };
+}
+
+function mergeOHLC(prefix, rows) {
+  return {
+    [`${prefix}Open`]: parseFloat(rows[0][`${prefix}_open`]),
+    [`${prefix}High`]: Math.max(...rows.map(row => parseFloat(row[`${prefix}_high`]))),
+    [`${prefix}Low`]: Math.min(...rows.map(row => parseFloat(row[`${prefix}_low`]))),
+    [`${prefix}Close`]: parseFloat(rows[rows.length - 1][`${prefix}_close`])
+  };
+}
+
+function mergePriceOHLC(rows) {
+  const priced = rows.filter(row => row.price_open !== null);
+  if (priced.length === 0) {
+    return { priceOpen: null, priceHigh: null, priceLow: null, priceClose: null };
+  }
+
+  const { priceHigh } = getPriceOHLC(priced.map(row => row.price_high));
+  const { priceLow } = getPriceOHLC(priced.map(row => row.price_low));
+  return {
+    priceOpen: valueToBigNumber(priced[0].price_open).toFixed(),
+    priceHigh,
+    priceLow,
+    priceClose: valueToBigNumber(priced[priced.length - 1].price_close).toFixed()
+  };
+}
+
+function weightedAverage(hours, field) {
+  const seconds = hours.reduce((total, hour) => total + Number(hour.twa_seconds), 0);
+  if (seconds === 0) {
+    return hours.reduce((sum, hour) => sum + parseFloat(hour[field]), 0) / hours.length;
+  }
+  return hours.reduce((sum, hour) => sum + parseFloat(hour[field]) * Number(hour.twa_seconds), 0) / seconds;
+}
+
+function formatPrice(price) {
+  return price === null ? 'N/A' : `$${Number(price).toFixed(4)}`;
+}
+
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node src/rollups.js update [--market name]                      - Roll up newly stored snapshots');
+  console.log('  node src/rollups.js rebuild <startBlock> <endBlock> [--market name] - Roll up snapshots stored in a block range');
+  console.log('  node src/rollups.js show <hour|day> [symbol] [limit] [--market name] - Show recent rollups');
+  console.log('    Without a symbol the market totals are shown');
+  console.log('\nExample:');
+  console.log('  node src/rollups.js show day USDC 30');
+}
+
+// Execute the rollup command if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && (marketIndex === -1 || index !== marketIndex + 1));
+
+  (async () => {
+    try {
+      switch (command) {
+        case 'update':
+          await initializeDatabase();
+          await updateRollups(marketName);
+          break;
+
+        case 'rebuild': {
+          const [, startBlock, endBlock] = positional;
+          if (!/^\d+$/.test(startBlock || '') || !/^\d+$/.test(endBlock || '')) {
+            throw new Error('rebuild requires a start and end block');
+          }
+          await initializeDatabase();
+          await rebuildRollups(marketName, parseInt(startBlock), parseInt(endBlock));
+          break;
+        }
+
+        case 'show': {
+          const [, period, ...rest] = positional;
+          if (!ROLLUP_PERIODS[period]) {
+            throw new Error(`show requires a period: ${Object.keys(ROLLUP_PERIODS).join(' or ')}`);
+          }
+          const symbol = rest.find(arg => !/^\d+$/.test(arg)) || null;
+          const limit = parseInt(rest.find(arg => /^\d+$/.test(arg))) || 24;
+          await showRollups(marketName, period, symbol, limit);
+          break;
+        }
+
+        default:
+          printUsage();
+          process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Rollup command failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  ROLLUP_PERIODS,
+  updateRollups,
+  rebuildRollups,
+  showRollups
+};
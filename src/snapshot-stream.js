@@ -0,0 +1,184 @@
+const { valueToBigNumber } = require('@aave/math-utils');
+
+// Interval of the comments that keep idle connections (and proxies) open
+const STREAM_HEARTBEAT_INTERVAL = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS) || 15000;
+
+// Token fields diffed against the previous block: exact decimal strings and percentages
+const DECIMAL_DELTA_FIELDS = ['priceInUSD', 'totalSuppliedUSD', 'totalBorrowedUSD', 'liquidityUSD'];
+const PERCENT_DELTA_FIELDS = ['utilizationRate', 'supplyAPY', 'variableBorrowAPY', 'netSupplyAPY', 'netBorrowAPY'];
+
+/**
+ * Push stored snapshots to Server-Sent Events subscribers
+ * Every published snapshot is sent as a `snapshot` event with the block's
+ * market totals, token metrics and deltas against the previously published
+ * block of the same market. Subscribers can limit the tokens they receive;
+ * a new subscriber first gets the latest snapshot, without deltas.
+ * @returns {Object} - `{ publish(metricsData), subscribe(request, response, filter), reset(market), close() }`
+ */
+function createSnapshotStream() {
+  const subscribers = new Set();
+  const latestByMarket = new Map();
+
+  const heartbeat = setInterval(() => {
+    subscribers.forEach(subscriber => subscriber.response.write(': keep-alive\n\n'));
+  }, STREAM_HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Send a stored snapshot to the subscribers of its market
+     * @param {Object} metricsData - Snapshot as built by buildMetricsSnapshot
+     */
+    publish(metricsData) {
+      const previous = latestByMarket.get(metricsData.market) || null;
+      const deltas = previous ? buildSnapshotDeltas(previous, metricsData) : null;
+      latestByMarket.set(metricsData.market, metricsData);
+
+      subscribers.forEach(subscriber => {
+        if (subscriber.market === metricsData.market) {
+          sendSnapshot(subscriber, metricsData, deltas);
+        }
+      });
+    },
+
+    /**
+     * Turn an HTTP request into an event stream
+     * @param {http.IncomingMessage} request - Client request
+     * @param {http.ServerResponse} response - Response kept open for events
+     * @param {Object} filter - Subscription filter
+     * @param {string} filter.market - aave-address-book market name
+     * @param {string[]} [filter.symbols] - Token symbols to send (case-insensitive); all when empty
+     */
+    subscribe(request, response, { market, symbols = [] }) {
+      const subscriber = {
+        market,
+        symbols: new Set(symbols.map(symbol => symbol.toLowerCase())),
+        response
+      };
+
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+      });
+      response.write(`retry: ${STREAM_HEARTBEAT_INTERVAL}\n\n`);
+
+      subscribers.add(subscriber);
+      request.on('close', () => subscribers.delete(subscriber));
+
+      if (latestByMarket.has(market)) {
+        sendSnapshot(subscriber, latestByMarket.get(market), null);
+      }
+    },
+
+    /**
+     * Forget the latest snapshot of a market after a reorg rolled it back
+     * The next published snapshot is sent without deltas instead of being
+     * diffed against an orphaned block, and new subscribers wait for it.
+     * @param {string} market - aave-address-book market name
+     */
+    reset(market) {
+      latestByMarket.delete(market);
+    },
+
+    /**
+     * End every subscription and stop the heartbeat
+     */
+    close() {
+      clearInterval(heartbeat);
+      subscribers.forEach(subscriber => subscriber.response.end());
+      subscribers.clear();
+    }
+  };
+}
+
+/**
+ * Compute the changes between two snapshots of a market
+ * Only tokens that changed, appeared or disappeared are listed.
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Later snapshot
+ * @returns {Object} - `{ previousBlockNumber, market, tokens }`; decimal fields are
+ *   exact decimal string differences, percentage fields percentage point differences
+ */
+function buildSnapshotDeltas(previous, current) {
+  const previousTokens = new Map(previous.tokenMetrics.map(token => [getTokenKey(token), token]));
+  const currentKeys = new Set(current.tokenMetrics.map(getTokenKey));
+  const tokens = [];
+
+  current.tokenMetrics.forEach(token => {
+    const before = previousTokens.get(getTokenKey(token));
+    if (!before) {
+      tokens.push({ symbol: token.symbol, underlyingAsset: token.underlyingAsset, status: 'added' });
+      return;
+    }
+
+    const changes = diffFields(before, token, DECIMAL_DELTA_FIELDS, PERCENT_DELTA_FIELDS);
+    if (Object.keys(changes).length > 0) {
+      tokens.push({ symbol: token.symbol, underlyingAsset: token.underlyingAsset, status: 'changed', changes });
+    }
+  });
+
+  previous.tokenMetrics
+    .filter(token => !currentKeys.has(getTokenKey(token)))
+    .forEach(token => tokens.push({ symbol: token.symbol, underlyingAsset: token.underlyingAsset, status: 'removed' }));
+
+  return {
+    previousBlockNumber: previous.blockNumber,
+    market: diffFields(previous, current, ['totalMarketSize', 'totalAvailable', 'totalBorrows'], ['averageUtilization']),
+    tokens
+  };
+}
+
+// Helper functions
+function getTokenKey(token) {
+  return (token.underlyingAsset || token.symbol).toLowerCase();
+}
+
+function diffFields(before, after, decimalFields, percentFields) {
+  const changes = {};
+
+  decimalFields.forEach(field => {
+    if (before[field] == null || after[field] == null) return;
+    const change = valueToBigNumber(after[field]).minus(before[field]);
+    if (!change.isZero()) {
+      changes[field] = change.toFixed();
+    }
+  });
+
+  percentFields.forEach(field => {
+    if (before[field] == null || after[field] == null) return;
+    const change = after[field] - before[field];
+    if (change !== 0) {
+      changes[field] = change;
+    }
+  });
+
+  return changes;
+}
+
+function sendSnapshot(subscriber, metricsData, deltas) {
+  const matches = token => subscriber.symbols.size === 0 || subscriber.symbols.has(token.symbol.toLowerCase());
+
+  const event = {
+    network: metricsData.network,
+    chainId: metricsData.chainId,
+    market: metricsData.market,
+    blockNumber: metricsData.blockNumber,
+    timestamp: metricsData.timestamp,
+    date: metricsData.date,
+    totalMarketSize: metricsData.totalMarketSize,
+    totalAvailable: metricsData.totalAvailable,
+    totalBorrows: metricsData.totalBorrows,
+    averageUtilization: metricsData.averageUtilization,
+    tokenMetrics: metricsData.tokenMetrics.filter(matches),
+    deltas: deltas && { ...deltas, tokens: deltas.tokens.filter(matches) }
+  };
+
+  subscriber.response.write(`id: ${metricsData.blockNumber}\nevent: snapshot\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+module.exports = {
+  createSnapshotStream,
+  buildSnapshotDeltas
+};
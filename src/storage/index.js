@@ -0,0 +1,48 @@
+const path = require('path');
+const { createPostgresBackend } = require('./postgres-backend');
+const { createSqliteBackend, createMemoryBackend } = require('./sqlite-backend');
+
+// Default SQLite location, overridable through the environment
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'aave-metrics.sqlite');
+
+const STORAGE_BACKENDS = ['postgres', 'sqlite', 'memory'];
+
+/**
+ * Create the storage backend selected by configuration
+ * Every backend exposes the same interface: `query(sql, params)`,
+ * `transaction(callback)`, `listTables(pattern)`, `listColumns(table)` and `close()`.
+ * @param {Object} [config] - Overrides for the environment settings
+ * @param {string} [config.type] - One of `postgres`, `sqlite`, `memory` (STORAGE_BACKEND)
+ * @param {string} [config.connectionString] - PostgreSQL connection string (DATABASE_URL, required for postgres)
+ * @param {string} [config.filename] - SQLite database file (SQLITE_PATH)
+ * @returns {Object} - Storage backend
+ */
+function createStorageBackend(config = {}) {
+  const type = config.type || process.env.STORAGE_BACKEND || 'postgres';
+
+  switch (type) {
+    case 'postgres': {
+      const connectionString = config.connectionString || process.env.DATABASE_URL;
+      if (!connectionString) {
+        throw new Error('DATABASE_URL must be set for the postgres storage backend (or set STORAGE_BACKEND to sqlite or memory)');
+      }
+      return createPostgresBackend({ connectionString });
+    }
+
+    case 'sqlite':
+      return createSqliteBackend({
+        filename: config.filename || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH
+      });
+
+    case 'memory':
+      return createMemoryBackend();
+
+    default:
+      throw new Error(`Unknown storage backend "${type}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createStorageBackend,
+  STORAGE_BACKENDS
+};
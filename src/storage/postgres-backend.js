@@ -0,0 +1,93 @@
+const { Pool } = require('pg');
+
+/**
+ * Create a storage backend on top of a PostgreSQL connection pool
+ * @param {Object} options - Backend options
+ * @param {string} options.connectionString - PostgreSQL connection string
+ * @returns {Object} - Storage backend
+ */
+function createPostgresBackend({ connectionString }) {
+  const pool = new Pool({
+    connectionString
+  });
+
+  return {
+    name: 'postgres',
+
+    /**
+     * Run a single statement using `$1`-style placeholders
+     * @param {string} sql - SQL statement
+     * @param {Array} params - Statement parameters
+     * @returns {Promise<Object>} - Object with the resulting `rows`
+     */
+    async query(sql, params = []) {
+      const result = await pool.query(sql, params);
+      return { rows: result.rows };
+    },
+
+    /**
+     * Run a callback inside a transaction on a dedicated client
+     * @param {Function} callback - Receives an object with a `query` method
+     * @returns {Promise<*>} - Whatever the callback resolves to
+     */
+    async transaction(callback) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await callback({
+          query: async (sql, params = []) => {
+            const queryResult = await client.query(sql, params);
+            return { rows: queryResult.rows };
+          }
+        });
+
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    /**
+     * List table names in the current schema matching a LIKE pattern
+     * @param {string} pattern - LIKE pattern, e.g. `aave_token_%`
+     * @returns {Promise<string[]>} - Matching table names
+     */
+    async listTables(pattern) {
+      const result = await pool.query(`
+        SELECT table_name
+        FROM information_schema.tables
+        WHERE table_schema = current_schema() AND table_name LIKE $1
+        ORDER BY table_name
+      `, [pattern]);
+
+      return result.rows.map(row => row.table_name);
+    },
+
+    /**
+     * List the column names of a table in the current schema
+     * @param {string} table - Table name
+     * @returns {Promise<string[]>} - Column names
+     */
+    async listColumns(table) {
+      const result = await pool.query(`
+        SELECT column_name
+        FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = $1
+      `, [table]);
+
+      return result.rows.map(row => row.column_name);
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresBackend };
@@ -0,0 +1,186 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+// Widest NUMERIC precision SQLite can hold without rounding through a double
+const SQLITE_MAX_EXACT_PRECISION = 15;
+
+const CREATE_TABLE_PATTERN = /^\s*CREATE TABLE IF NOT EXISTS (\w+)/i;
+
+/**
+ * Translate a `$1`-style statement into SQLite's positional `?` form
+ * and convert parameter values SQLite cannot bind directly
+ * NUMERIC columns wider than a double are declared as TEXT so exact decimal
+ * strings round-trip unchanged instead of being coerced to REAL. SQL on such
+ * columns therefore compares text: ORDER BY, MIN/MAX, SUM and range filters
+ * on them must not be used; compare and aggregate them with BigNumber instead.
+ * @param {string} sql - SQL statement using `$n` placeholders
+ * @param {Array} params - Statement parameters
+ * @returns {Object} - Translated `sql` and ordered `values`
+ */
+function translateStatement(sql, params) {
+  const values = [];
+
+  const translated = sql
+    .replace(/\bNUMERIC\((\d+)\s*,\s*\d+\)/gi, (match, precision) => (
+      parseInt(precision) > SQLITE_MAX_EXACT_PRECISION ? 'TEXT' : match
+    ))
+    .replace(/\$(\d+)/g, (match, index) => {
+      values.push(toSqliteValue(params[parseInt(index) - 1]));
+      return '?';
+    });
+
+  return { sql: translated, values };
+}
+
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function isWideNumeric(type) {
+  const match = /^NUMERIC\((\d+)/i.exec(type);
+  return Boolean(match) && parseInt(match[1]) > SQLITE_MAX_EXACT_PRECISION;
+}
+
+/**
+ * Rebuild a table created before wide NUMERIC columns were declared as TEXT
+ * Those columns have NUMERIC affinity and hold REAL values; the table is
+ * recreated from `createSql` and the values are copied over as text.
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} table - Table name
+ * @param {string} createSql - Translated CREATE TABLE statement of the table
+ */
+function migrateWideNumericColumns(db, table, createSql) {
+  const listColumns = () => db.prepare('SELECT name, type FROM pragma_table_info(?)').all(table);
+  const columns = listColumns();
+  if (!columns.some(column => isWideNumeric(column.type))) {
+    return;
+  }
+
+  const legacyTable = `${table}_numeric_legacy`;
+  db.transaction(() => {
+    db.exec(`ALTER TABLE ${table} RENAME TO ${legacyTable}`);
+    db.exec(createSql);
+
+    // Columns added after the CREATE statement was written are carried over too
+    const created = new Set(listColumns().map(column => column.name));
+    columns
+      .filter(column => !created.has(column.name))
+      .forEach(column => db.exec(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${isWideNumeric(column.type) ? 'TEXT' : column.type}`));
+
+    const names = columns.map(column => column.name);
+    const values = columns.map(column => isWideNumeric(column.type) ? `CAST(${column.name} AS TEXT)` : column.name);
+    db.exec(`INSERT INTO ${table} (${names.join(', ')}) SELECT ${values.join(', ')} FROM ${legacyTable}`);
+    db.exec(`DROP TABLE ${legacyTable}`);
+  })();
+
+  console.log(`✓ Converted the wide NUMERIC columns of ${table} to TEXT`);
+}
+
+/**
+ * Create a storage backend on top of a SQLite database file
+ * SQLite only has a single connection, so statements and transactions are
+ * serialized to keep a transaction from picking up unrelated writes.
+ * @param {Object} options - Backend options
+ * @param {string} options.filename - Database file path, or `:memory:`
+ * @param {string} [options.name] - Backend name reported to callers
+ * @returns {Object} - Storage backend
+ */
+function createSqliteBackend({ filename, name = 'sqlite' }) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  if (filename !== ':memory:') {
+    db.pragma('journal_mode = WAL');
+  }
+
+  let lock = Promise.resolve();
+
+  function exclusive(task) {
+    const result = lock.then(task);
+    lock = result.catch(() => {});
+    return result;
+  }
+
+  function execute(sql, params = []) {
+    const statement = translateStatement(sql, params);
+
+    const createdTable = CREATE_TABLE_PATTERN.exec(statement.sql);
+    if (createdTable) {
+      migrateWideNumericColumns(db, createdTable[1], statement.sql);
+    }
+
+    const prepared = db.prepare(statement.sql);
+
+    if (prepared.reader) {
+      return { rows: prepared.all(statement.values) };
+    }
+
+    prepared.run(statement.values);
+    return { rows: [] };
+  }
+
+  return {
+    name,
+
+    async query(sql, params = []) {
+      return exclusive(() => execute(sql, params));
+    },
+
+    async transaction(callback) {
+      return exclusive(async () => {
+        db.exec('BEGIN');
+
+        try {
+          const result = await callback({
+            query: async (sql, params = []) => execute(sql, params)
+          });
+
+          db.exec('COMMIT');
+          return result;
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        }
+      });
+    },
+
+    async listTables(pattern) {
+      const { rows } = await exclusive(() => execute(`
+        SELECT name AS table_name
+        FROM sqlite_master
+        WHERE type = 'table' AND name LIKE $1
+        ORDER BY name
+      `, [pattern]));
+
+      return rows.map(row => row.table_name);
+    },
+
+    async listColumns(table) {
+      const { rows } = await exclusive(() => execute(`
+        SELECT name FROM pragma_table_info($1)
+      `, [table]));
+
+      return rows.map(row => row.name);
+    },
+
+    async close() {
+      await lock;
+      db.close();
+    }
+  };
+}
+
+/**
+ * Create a throwaway storage backend that lives only in process memory
+ * @returns {Object} - Storage backend
+ */
+function createMemoryBackend() {
+  return createSqliteBackend({ filename: ':memory:', name: 'memory' });
+}
+
+module.exports = { createSqliteBackend, createMemoryBackend };
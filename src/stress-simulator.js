@@ -0,0 +1,363 @@
+const { valueToBigNumber } = require('@aave/math-utils');
+const { getPositionsAtBlock, getTokenMetricsAtBlock, getBorrowers, closePool } = require('./db-storage');
+const { toUSDString } = require('./reserve-metrics');
+const { getMarket, createProvider } = require('./markets');
+const { isBlockArgument, resolveBlockArgument } = require('./block-time');
+
+// Correlated assets that can be shocked together by group name
+const SHOCK_GROUPS = {
+  ETH: ['WETH', 'wstETH', 'cbETH', 'weETH', 'ezETH', 'wrsETH', 'rETH'],
+  BTC: ['cbBTC', 'LBTC', 'tBTC', 'WBTC'],
+  STABLES: ['USDC', 'USDbC', 'GHO', 'USDS', 'sUSDe', 'USDe']
+};
+
+// Liquidation bonus assumed for snapshots stored before reserve bonuses were captured
+const LIQUIDATION_BONUS = parseFloat(process.env.STRESS_LIQUIDATION_BONUS) || 0.05;
+
+// Below this health factor the whole debt can be liquidated at once, above it half
+const CLOSE_FACTOR_HF_THRESHOLD = 0.95;
+
+/**
+ * Parse price shocks such as `ETH=-20` or `cbBTC=-10`
+ * Names of SHOCK_GROUPS shock every asset of the group; a shock on a
+ * single symbol takes precedence over the shock of its group.
+ * @param {string[]} specs - `<symbol or group>=<percent change>` strings
+ * @returns {Map} - Lowercase symbol → percent change
+ */
+function parseShocks(specs) {
+  const groupShocks = new Map();
+  const symbolShocks = new Map();
+
+  for (const spec of specs) {
+    const match = /^([^=]+)=(-?\d+(\.\d+)?)$/.exec(spec);
+    if (!match || parseFloat(match[2]) < -100) {
+      throw new Error(`Invalid shock "${spec}", expected <symbol or group>=<percent change> above -100`);
+    }
+
+    const name = match[1];
+    const change = parseFloat(match[2]);
+    const group = Object.keys(SHOCK_GROUPS).find(key => key.toLowerCase() === name.toLowerCase());
+
+    if (group) {
+      SHOCK_GROUPS[group].forEach(symbol => groupShocks.set(symbol.toLowerCase(), change));
+    } else {
+      symbolShocks.set(name.toLowerCase(), change);
+    }
+  }
+
+  return new Map([...groupShocks, ...symbolShocks]);
+}
+
+/**
+ * Simulate price shocks on a stored position set
+ * Each account is valued at the shocked prices with the liquidation
+ * thresholds of the snapshot. Accounts in an eMode category use the
+ * category threshold and bonus on the reserves the category enables as
+ * collateral and the reserve parameters on the others; snapshots stored
+ * before eMode categories were captured fall back to the stored
+ * account-wide threshold for every collateral. Liquidatable accounts are
+ * liquidated pro rata across their reserves: the close factor share of
+ * every debt is repaid, and collateral worth the repaid debt plus the
+ * collateral-weighted liquidation bonus is seized and withdrawn from the pool.
+ * @param {Object[]} positions - Rows returned by getPositionsAtBlock
+ * @param {Object[]} tokenMetrics - Rows returned by getTokenMetricsAtBlock for the same block
+ * @param {Map} shocks - Shocks returned by parseShocks
+ * @returns {Object} - `{ accounts, reserves, summary }` with USD values as exact decimal strings
+ */
+function simulatePriceShock(positions, tokenMetrics, shocks) {
+  const reserves = new Map(tokenMetrics.map(row => [row.reserve_address.toLowerCase(), {
+    symbol: row.symbol,
+    priceChange: shocks.get(row.symbol.toLowerCase()) || 0,
+    liquidationThreshold: valueToBigNumber(row.liquidation_threshold || 0),
+    liquidationBonus: valueToBigNumber(row.liquidation_bonus !== null && row.liquidation_bonus !== undefined
+      ? row.liquidation_bonus
+      : LIQUIDATION_BONUS),
+    eModes: row.emode_categories ? JSON.parse(row.emode_categories) : null,
+    totalSupplied: valueToBigNumber(row.total_supplied),
+    totalBorrowed: valueToBigNumber(row.total_borrowed),
+    repaid: valueToBigNumber(0),
+    seized: valueToBigNumber(0)
+  }]));
+
+  // Groups list assets of every market, so only missing single symbols are reported
+  const groupSymbols = Object.values(SHOCK_GROUPS).flat().map(symbol => symbol.toLowerCase());
+  const unknownShocks = [...shocks.keys()].filter(symbol =>
+    !groupSymbols.includes(symbol) &&
+    ![...reserves.values()].some(reserve => reserve.symbol.toLowerCase() === symbol)
+  );
+
+  const accounts = [];
+  let liquidatableCollateralUSD = valueToBigNumber(0);
+  let liquidatableDebtUSD = valueToBigNumber(0);
+
+  for (const position of positions) {
+    const before = valueAccount(position, reserves, false);
+    const after = valueAccount(position, reserves, true);
+
+    const wasLiquidatable = before.healthFactor !== null && before.healthFactor.lt(1);
+    const isLiquidatable = after.healthFactor !== null && after.healthFactor.lt(1);
+
+    const account = {
+      user: position.user_address,
+      healthFactorBefore: before.healthFactor && before.healthFactor.toNumber(),
+      healthFactorAfter: after.healthFactor && after.healthFactor.toNumber(),
+      collateralUSD: toUSDString(after.collateralUSD),
+      debtUSD: toUSDString(after.debtUSD),
+      liquidatable: isLiquidatable,
+      newlyLiquidatable: isLiquidatable && !wasLiquidatable,
+      seizableCollateralUSD: '0'
+    };
+
+    if (isLiquidatable) {
+      const closeFactor = after.healthFactor.lt(CLOSE_FACTOR_HF_THRESHOLD) ? 1 : 0.5;
+      const repaidUSD = after.debtUSD.times(closeFactor);
+      const seizedUSD = minBigNumber(after.collateralUSD, repaidUSD.times(after.liquidationBonus.plus(1)));
+      const seizedShare = after.collateralUSD.gt(0) ? seizedUSD.div(after.collateralUSD) : valueToBigNumber(0);
+
+      for (const userReserve of after.reserves) {
+        const reserve = reserves.get(userReserve.underlyingAsset);
+        reserve.repaid = reserve.repaid.plus(userReserve.borrowed.times(closeFactor));
+        if (userReserve.isCollateral) {
+          reserve.seized = reserve.seized.plus(userReserve.supplied.times(seizedShare));
+        }
+      }
+
+      account.seizableCollateralUSD = toUSDString(seizedUSD);
+      liquidatableCollateralUSD = liquidatableCollateralUSD.plus(seizedUSD);
+      liquidatableDebtUSD = liquidatableDebtUSD.plus(repaidUSD);
+    }
+
+    accounts.push(account);
+  }
+
+  return {
+    accounts,
+    reserves: [...reserves.values()].map(reserve => {
+      const suppliedAfter = reserve.totalSupplied.minus(reserve.seized);
+      const borrowedAfter = reserve.totalBorrowed.minus(reserve.repaid);
+
+      return {
+        symbol: reserve.symbol,
+        priceChange: reserve.priceChange,
+        utilizationBefore: toPercentage(reserve.totalBorrowed, reserve.totalSupplied),
+        utilizationAfter: toPercentage(borrowedAfter, suppliedAfter),
+        repaid: reserve.repaid.toFixed(),
+        seized: reserve.seized.toFixed()
+      };
+    }),
+    summary: {
+      accounts: accounts.length,
+      liquidatableAccounts: accounts.filter(account => account.liquidatable).length,
+      newlyLiquidatableAccounts: accounts.filter(account => account.newlyLiquidatable).length,
+      liquidatableCollateralUSD: toUSDString(liquidatableCollateralUSD),
+      liquidatableDebtUSD: toUSDString(liquidatableDebtUSD),
+      unknownShocks
+    }
+  };
+}
+
+/**
+ * Run a price shock scenario on the positions stored for a block
+ * @param {string} marketName - aave-address-book market name
+ * @param {string[]} shockSpecs - Shocks as accepted by parseShocks
+ * @param {number|null} blockNumber - Block to simulate at, or null for the latest; the
+ *   latest position set stored at or before it is used
+ * @returns {Promise<Object>} - simulatePriceShock result plus `blockNumber` and `knownBorrowers`
+ */
+async function runStressTest(marketName, shockSpecs, blockNumber = null) {
+  const market = getMarket(marketName);
+  const shocks = parseShocks(shockSpecs);
+
+  const positions = await getPositionsAtBlock(market.chainId, market.name, blockNumber);
+  if (positions.length === 0) {
+    throw new Error(`No stored ${market.name} positions${blockNumber ? ` at or before block ${blockNumber}` : ''}; index blocks with a watchlist first`);
+  }
+
+  const snapshotBlock = parseInt(positions[0].block_number);
+  const tokenMetrics = await getTokenMetricsAtBlock(market.chainId, market.name, snapshotBlock);
+  const knownBorrowers = (await getBorrowers(market.chainId, market.name)).length;
+
+  const result = { blockNumber: snapshotBlock, knownBorrowers, ...simulatePriceShock(positions, tokenMetrics, shocks) };
+  printStressTest(market.name, shockSpecs, result);
+
+  return result;
+}
+
+/**
+ * Print a stress test result
+ * @param {string} marketName - aave-address-book market name
+ * @param {string[]} shockSpecs - Shocks as given on the command line
+ * @param {Object} result - runStressTest result
+ */
+function printStressTest(marketName, shockSpecs, result) {
+  const { summary } = result;
+
+  console.log(`\n=== ${marketName} stress test at block ${result.blockNumber}: ${shockSpecs.join(', ')} ===`);
+  if (summary.unknownShocks.length > 0) {
+    console.log(`Warning: no reserve for ${summary.unknownShocks.join(', ')}`);
+  }
+
+  // Only watchlist accounts have stored positions, so the result is a lower bound for the market
+  console.log(`\nAccounts: ${summary.accounts} watchlist accounts`
+    + (result.knownBorrowers > 0 ? ` (${result.knownBorrowers} borrowers discovered on the market)` : ''));
+  console.log('Note: only watchlist positions are simulated; other accounts of the market are not covered');
+  console.log(`Liquidatable: ${summary.liquidatableAccounts} (${summary.newlyLiquidatableAccounts} newly)`);
+  console.log(`Liquidatable Collateral: ${formatUSD(summary.liquidatableCollateralUSD)}`);
+  console.log(`Liquidatable Debt: ${formatUSD(summary.liquidatableDebtUSD)}`);
+
+  const liquidatable = result.accounts.filter(account => account.liquidatable);
+  if (liquidatable.length > 0) {
+    console.log('\nLiquidatable accounts:');
+    console.table(liquidatable.map(account => ({
+      user: account.user,
+      new: account.newlyLiquidatable ? 'yes' : '',
+      hfBefore: formatHealthFactor(account.healthFactorBefore),
+      hfAfter: formatHealthFactor(account.healthFactorAfter),
+      debt: formatUSD(account.debtUSD),
+      seizableCollateral: formatUSD(account.seizableCollateralUSD)
+    })));
+  }
+
+  console.log('\nReserves after liquidations:');
+  console.table(result.reserves.map(reserve => ({
+    symbol: reserve.symbol,
+    shock: `${reserve.priceChange}%`,
+    utilizationBefore: `${reserve.utilizationBefore.toFixed(2)}%`,
+    utilizationAfter: `${reserve.utilizationAfter.toFixed(2)}%`
+  })));
+}
+
+// Helper functions
+function valueAccount(position, reserves, shocked) {
+  const emodeCategoryId = parseInt(position.emode_category_id) || 0;
+
+  let collateralUSD = valueToBigNumber(0);
+  let thresholdCollateralUSD = valueToBigNumber(0);
+  let bonusCollateralUSD = valueToBigNumber(0);
+  let debtUSD = valueToBigNumber(0);
+  const userReserves = [];
+
+  for (const userReserve of JSON.parse(position.reserves_json)) {
+    const reserve = reserves.get(userReserve.underlyingAsset.toLowerCase());
+    if (!reserve) {
+      throw new Error(`Snapshot has no reserve ${userReserve.underlyingAsset} (${userReserve.symbol})`);
+    }
+
+    const priceFactor = shocked ? 1 + reserve.priceChange / 100 : 1;
+    const suppliedUSD = valueToBigNumber(userReserve.suppliedUSD).times(priceFactor);
+    const isCollateral = userReserve.usageAsCollateralEnabled && reserve.liquidationThreshold.gt(0);
+
+    if (isCollateral) {
+      const { liquidationThreshold, liquidationBonus } = collateralParameters(reserve, emodeCategoryId, position);
+      collateralUSD = collateralUSD.plus(suppliedUSD);
+      thresholdCollateralUSD = thresholdCollateralUSD.plus(suppliedUSD.times(liquidationThreshold));
+      bonusCollateralUSD = bonusCollateralUSD.plus(suppliedUSD.times(liquidationBonus));
+    }
+    debtUSD = debtUSD.plus(valueToBigNumber(userReserve.borrowedUSD).times(priceFactor));
+
+    userReserves.push({
+      underlyingAsset: userReserve.underlyingAsset.toLowerCase(),
+      supplied: valueToBigNumber(userReserve.supplied),
+      borrowed: valueToBigNumber(userReserve.borrowed),
+      isCollateral
+    });
+  }
+
+  return {
+    collateralUSD,
+    debtUSD,
+    healthFactor: debtUSD.gt(0) ? thresholdCollateralUSD.div(debtUSD) : null,
+    liquidationBonus: collateralUSD.gt(0) ? bonusCollateralUSD.div(collateralUSD) : valueToBigNumber(0),
+    reserves: userReserves
+  };
+}
+
+function collateralParameters(reserve, emodeCategoryId, position) {
+  if (emodeCategoryId === 0) {
+    return reserve;
+  }
+
+  if (reserve.eModes === null) {
+    // Snapshot without eMode categories: only the account-wide threshold is known
+    return {
+      liquidationThreshold: valueToBigNumber(position.current_liquidation_threshold),
+      liquidationBonus: reserve.liquidationBonus
+    };
+  }
+
+  // The bonus is stored as a fraction over the seized collateral, e.g. 0.05
+  const eMode = reserve.eModes.find(category => category.id === emodeCategoryId && category.collateralEnabled);
+  return eMode
+    ? { liquidationThreshold: valueToBigNumber(eMode.liquidationThreshold), liquidationBonus: valueToBigNumber(eMode.liquidationBonus) }
+    : reserve;
+}
+
+function minBigNumber(a, b) {
+  return a.lt(b) ? a : b;
+}
+
+function toPercentage(part, total) {
+  return total.gt(0) ? part.div(total).times(100).toNumber() : 0;
+}
+
+function formatHealthFactor(healthFactor) {
+  return healthFactor === null ? '∞' : healthFactor.toFixed(4);
+}
+
+function formatUSD(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node src/stress-simulator.js <shock> [<shock> ...] [--block N|time] [--market name]');
+  console.log('    <shock> is <symbol or group>=<percent change>, e.g. ETH=-20 or cbBTC=-15');
+  console.log(`    Groups: ${Object.entries(SHOCK_GROUPS).map(([group, symbols]) => `${group} (${symbols.join(', ')})`).join('; ')}`);
+  console.log('    Positions come from the last watchlist positions stored at or before the block (default latest);');
+  console.log('    --block also takes an ISO date or relative time. The market defaults to AaveV3Base');
+  console.log('\nExamples:');
+  console.log('  node src/stress-simulator.js ETH=-20 USDC=-1');
+  console.log('  node src/stress-simulator.js BTC=-30 --block "2d ago"');
+}
+
+// Execute the simulator if this script is run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const marketIndex = args.indexOf('--market');
+  const marketName = marketIndex !== -1 ? args[marketIndex + 1] : 'AaveV3Base';
+  const blockIndex = args.indexOf('--block');
+  const blockArgument = blockIndex !== -1 ? args[blockIndex + 1] : null;
+  const shockSpecs = args.filter(arg => arg.includes('='));
+
+  if (shockSpecs.length === 0 || (blockArgument !== null && !isBlockArgument(blockArgument))) {
+    printUsage();
+    process.exit(shockSpecs.length === 0 && args.length === 0 ? 0 : 1);
+  }
+
+  (async () => {
+    try {
+      // Times are resolved on the market's chain
+      const blockNumber = blockArgument !== null
+        ? await resolveBlockArgument(createProvider(getMarket(marketName).chainId), blockArgument)
+        : null;
+      await runStressTest(marketName, shockSpecs, blockNumber);
+    } catch (error) {
+      console.error('Stress test failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  })();
+}
+
+module.exports = {
+  SHOCK_GROUPS,
+  parseShocks,
+  simulatePriceShock,
+  runStressTest
+};
@@ -0,0 +1,92 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fixture = require('./fixtures/base-block-28489917.json');
+const { buildMetricsSnapshot } = require('../src/reserve-metrics');
+const { initializeDatabase, storeMetrics, getRecentBlockHashes, deleteBlocksAfter } = require('../src/db-storage');
+const { detectAndRollbackReorg, extendsStoredChain } = require('../src/reorg-detector');
+
+/**
+ * Stored chains are compared with a faked provider that only knows the
+ * canonical block hashes; snapshots reuse the recorded fixture payloads.
+ */
+
+const CHAIN_ID = 8453;
+const MARKET = 'AaveV3Base';
+
+function hash(label) {
+  return `0x${Buffer.from(label).toString('hex').padEnd(64, '0')}`;
+}
+
+function snapshot(blockNumber, blockHash, parentHash) {
+  return buildMetricsSnapshot({
+    reserves: fixture.reserves,
+    reserveIncentives: fixture.reserveIncentives,
+    eModes: fixture.eModes,
+    block: { number: blockNumber, hash: blockHash, parentHash, timestamp: fixture.block.timestamp + blockNumber },
+    network: 'Base',
+    chainId: CHAIN_ID,
+    market: MARKET
+  });
+}
+
+function fakeProvider(canonicalHashes) {
+  return {
+    getBlock: async blockNumber => (canonicalHashes[blockNumber]
+      ? { number: blockNumber, hash: canonicalHashes[blockNumber] }
+      : null)
+  };
+}
+
+// Storage and rollbacks log progress; keep the test output readable
+function silenced(callback) {
+  return async () => {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+      return await callback();
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+  };
+}
+
+test.before(silenced(() => initializeDatabase()));
+test.afterEach(silenced(() => deleteBlocksAfter(CHAIN_ID, MARKET, 0)));
+
+test('a canonical stored chain is left untouched', silenced(async () => {
+  await storeMetrics(snapshot(100, hash('a100'), hash('a99')));
+  await storeMetrics(snapshot(101, hash('a101'), hash('a100')));
+
+  const reorg = await detectAndRollbackReorg(fakeProvider({ 100: hash('a100'), 101: hash('a101') }), CHAIN_ID, MARKET);
+
+  assert.strictEqual(reorg, null);
+  assert.deepStrictEqual((await getRecentBlockHashes(CHAIN_ID, MARKET, 10)).map(stored => stored.blockNumber), [101, 100]);
+}));
+
+test('an orphaned block below a block of the new fork is rolled back', silenced(async () => {
+  // 101 was orphaned after it was stored; 102 was fetched from the new fork
+  await storeMetrics(snapshot(100, hash('a100'), hash('a99')));
+  await storeMetrics(snapshot(101, hash('a101'), hash('a100')));
+  await storeMetrics(snapshot(102, hash('b102'), hash('b101')));
+
+  const provider = fakeProvider({ 100: hash('a100'), 101: hash('b101'), 102: hash('b102') });
+  const reorg = await detectAndRollbackReorg(provider, CHAIN_ID, MARKET);
+
+  assert.deepStrictEqual(reorg, { commonAncestor: 100, depth: 2, orphanedBlocks: [101] });
+  assert.deepStrictEqual((await getRecentBlockHashes(CHAIN_ID, MARKET, 10)).map(stored => stored.blockNumber), [100]);
+}));
+
+test('a block whose parent hash differs from the stored previous block is detected', silenced(async () => {
+  await storeMetrics(snapshot(100, hash('a100'), hash('a99')));
+  await storeMetrics(snapshot(101, hash('a101'), hash('a100')));
+
+  assert.strictEqual(await extendsStoredChain(CHAIN_ID, MARKET, snapshot(102, hash('a102'), hash('a101'))), true);
+  assert.strictEqual(await extendsStoredChain(CHAIN_ID, MARKET, snapshot(102, hash('b102'), hash('b101'))), false);
+
+  // Nothing stored before the block: nothing to compare with
+  assert.strictEqual(await extendsStoredChain(CHAIN_ID, MARKET, snapshot(200, hash('b200'), hash('b199'))), true);
+}));
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { UiPoolDataProvider, UiIncentiveDataProvider } = require('@aave/contract-helpers');
+const fixture = require('./fixtures/base-block-28489917.json');
+
+/**
+ * Snapshots built by the live indexer and by historical fetches must be
+ * identical for the same block. The recorded UI data provider payloads of
+ * the fixture are served in place of the contracts, and the JSON-RPC
+ * transport answers the few raw calls the entry points make.
+ */
+
+const POOL_ADDRESS = '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5';
+
+// Block numbers the UI data provider payloads were requested at
+const requestedBlocks = [];
+
+function stubChain() {
+  const clone = value => JSON.parse(JSON.stringify(value));
+  const recordBlock = provider => provider.call({ to: POOL_ADDRESS, data: '0x' })
+    .then(blockTag => requestedBlocks.push(blockTag));
+
+  ethers.providers.JsonRpcProvider.prototype.send = async function (method, params) {
+    switch (method) {
+      case 'eth_chainId':
+        return '0x2105';
+      case 'eth_blockNumber':
+        return ethers.utils.hexValue(fixture.block.number);
+      case 'eth_getBlockByNumber':
+        return {
+          number: ethers.utils.hexValue(fixture.block.number),
+          hash: fixture.block.hash,
+          parentHash: fixture.block.parentHash,
+          timestamp: ethers.utils.hexValue(fixture.block.timestamp),
+          nonce: '0x0000000000000000',
+          difficulty: '0x0',
+          gasLimit: '0x1c9c380',
+          gasUsed: '0x0',
+          miner: ethers.constants.AddressZero,
+          extraData: '0x',
+          transactions: []
+        };
+      case 'eth_call': {
+        const [transaction, blockTag] = params;
+        if (transaction.data === '0x') {
+          // Probe used to find the block a provider reads at
+          return ethers.utils.defaultAbiCoder.encode(['uint256'], [blockTag]);
+        }
+        throw new Error(`Unexpected eth_call to ${transaction.to}`);
+      }
+      default:
+        throw new Error(`Unexpected RPC method ${method}`);
+    }
+  };
+
+  UiPoolDataProvider.prototype.getReservesHumanized = async function () {
+    await recordBlock(this._contract.provider);
+    return clone(fixture.reserves);
+  };
+  UiPoolDataProvider.prototype.getEModesHumanized = async () => clone(fixture.eModes);
+  UiIncentiveDataProvider.prototype.getReservesIncentivesDataHumanized = async () => clone(fixture.reserveIncentives);
+}
+
+// Entry points log progress and summaries; keep the test output readable
+function silenced(callback) {
+  return async () => {
+    const { log } = console;
+    console.log = () => {};
+    try {
+      return await callback();
+    } finally {
+      console.log = log;
+    }
+  };
+}
+
+stubChain();
+const { buildMetricsSnapshot } = require('../src/reserve-metrics');
+const { indexBaseAaveMetrics } = require('../src/base-metrics-indexer');
+const { fetchBaseMetricsAtBlock } = require('../src/base-historical-metrics');
+
+test('live and historical entry points build identical snapshots for a block', silenced(async () => {
+  const live = await indexBaseAaveMetrics(fixture.block.number, false, { saveFiles: false });
+  const historical = await fetchBaseMetricsAtBlock(fixture.block.number);
+
+  assert.deepStrictEqual(historical, live);
+  assert.strictEqual(live.blockNumber, fixture.block.number);
+  assert.strictEqual(live.blockHash, fixture.block.hash);
+}));
+
+test('entry points match the snapshot built from the recorded payloads', silenced(async () => {
+  const expected = buildMetricsSnapshot({
+    reserves: fixture.reserves,
+    reserveIncentives: fixture.reserveIncentives,
+    eModes: fixture.eModes,
+    block: fixture.block,
+    network: 'Base',
+    chainId: 8453,
+    market: 'AaveV3Base'
+  });
+
+  assert.deepStrictEqual(await fetchBaseMetricsAtBlock(fixture.block.number), expected);
+  assert.strictEqual(expected.tokenCount, fixture.reserves.reservesData.length);
+  assert.strictEqual(expected.totalMarketSize, '344833986.177399211636708777');
+}));
+
+test('reserve data is read at the requested block', silenced(async () => {
+  requestedBlocks.length = 0;
+  await indexBaseAaveMetrics(fixture.block.number, false, { saveFiles: false });
+  await fetchBaseMetricsAtBlock(fixture.block.number);
+
+  assert.deepStrictEqual(requestedBlocks.map(blockTag => Number(blockTag)), [fixture.block.number, fixture.block.number]);
+}));